@@ -0,0 +1,1108 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – background service worker
+ *
+ * Owns price fetching for every open Booking.com tab – search results, hotel
+ * pages and the homepage alike: a single prioritised queue with one shared
+ * rate limit, de-duplication of identical (search context, dates) requests,
+ * cancellation of fetches nobody waits for any more, and the persisted price
+ * cache + history. Content scripts subscribe to the search context they
+ * display and are pushed each result.
+ *
+ * Service workers have no DOMParser, so fetched pages are parsed in an
+ * offscreen document (offscreen.html) using the shared extract.js.
+ * Pages are fetched through snapshots.js, which records them or replays
+ * recorded ones in the developer snapshot mode.
+ */
+
+importScripts('search.js', 'price.js', 'settings.js', 'selectors.js', 'extract.js', 'snapshots.js');
+
+const { cacheKey, searchContextKey, contextName, buildSearchUrl, buildPropertyUrl } = self.BPCSearch;
+const { STRATEGIES, calcStats, dedupeProperties } = self.BPCExtract;
+const { formatPrice } = self.BPCPrice;
+const { MODE_KEY: SNAPSHOT_MODE_KEY, fetchPage } = self.BPCSnapshots;
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const STAGGER_MS             = 180;             // gap between fetches started together
+const RETRY_DELAY_MS         = 5000;            // first back-off after a blocked response
+const BACKOFF_MAX_MS         = 5 * 60_000;      // back-off ceiling
+const RECOVER_AFTER          = 5;               // successes in a row before easing the throttle
+const MAX_ATTEMPTS           = 3;               // network errors before a date is given up
+const SCAN_DELAY_MS          = 6000;            // gap between two fetches of a cheapest-window scan
+const CACHE_KEY_PREFIX       = 'priceCache:';   // chrome.storage.local key per search context
+const CACHE_MAX_AGE_MS       = 7 * 86_400_000;  // stale entries older than this are dropped
+const CACHE_MAX_CONTEXTS     = 40;              // persisted search contexts kept before pruning
+const CACHE_PERSIST_DELAY_MS = 1000;            // debounce for writing a context to storage
+const HISTORY_MAX_POINTS     = 30;              // observations kept per date pair
+const HISTORY_MERGE_MS       = 15 * 60_000;     // observations closer than this replace each other
+const OFFSCREEN_URL          = 'offscreen.html';
+const WATCH_ALARM            = 'bpc:watchlist';
+const WATCH_INTERVAL_MIN     = 60;              // how often watched prices are re-checked
+const WATCH_MAX_AGE_MS       = (WATCH_INTERVAL_MIN - 5) * 60_000; // watched prices older than this are refetched
+const WATCH_JOB              = 'watchlist';     // stands in for a tab in jobs the watchlist wants
+const DIAG_MAX_ERRORS        = 60;              // date pairs whose last error diagnostics keep
+
+// Job priorities, most urgent first (see takeNextJob)
+const PRIORITY_VISIBLE       = 0;               // days of the calendar months a tab shows
+const PRIORITY_CHECKIN       = 1;               // stays from a tab's selected check-in date
+const PRIORITY_GRID          = 2;               // cells of a tab's price grid by length of stay
+const PRIORITY_DEEPER        = 3;               // further result pages widening a sample
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+/**
+ * The settings the worker uses (settings.js):
+ *   cacheTtlHours  how long a cached price stays fresh. Older entries are
+ *                  still served (stale-while-revalidate) but re-fetched
+ *                  when a tab asks for them.
+ *   pageDepth      result pages fetched per date pair (~25 properties
+ *                  each). Deeper pages are only fetched once no first page
+ *                  is waiting in the queue.
+ *   fetchDelayMs   gap between background price-fetches, and
+ *   maxConcurrent  parallel fetch slots (shared by all tabs) – the pace the
+ *                  throttle eases back to
+ */
+let settings = { ...self.BPCSettings.DEFAULTS };
+
+self.BPCSettings.load().then(applySettings);
+self.BPCSettings.onChange(applySettings);
+
+function applySettings (changed) {
+  settings = { ...settings, ...changed };
+  // A new pace applies straight away unless the throttle is backing off
+  if (throttle.failures === 0) {
+    throttle.delayMs       = settings.fetchDelayMs;
+    throttle.maxConcurrent = settings.maxConcurrent;
+    drain();
+  }
+}
+
+// ─── Price cache (per search context) ───────────────────────────────────────
+
+/**
+ * Loaded search contexts.
+ * key = searchContextKey()
+ * val = {
+ *   entries: Map<"checkin/checkout", {
+ *     stats,       { min, max, avg, count, cheapest, currency, pages } | null = no prices
+ *     fetchedAt,   when the first page was fetched
+ *     properties,  one { propertyId, name, url, price, stars, score } per
+ *                  property seen so far (all pages), for re-computing stats
+ *     pages,       result pages merged into stats
+ *     exhausted,   true once a deeper page came back without prices
+ *   }>,
+ *   history: Map<"checkin/checkout", [[observedAt, min, avg], …]>,
+ *   ready:   Promise resolved once the persisted data is loaded,
+ * }
+ */
+const contexts = new Map();
+
+function getContext (contextKey) {
+  let ctx = contexts.get(contextKey);
+  if (!ctx) {
+    ctx = { entries: new Map(), history: new Map(), persistTimer: 0 };
+    ctx.ready = loadContext(contextKey, ctx);
+    contexts.set(contextKey, ctx);
+  }
+  return ctx;
+}
+
+/** Fill a context from storage, dropping expired entries and past check-ins */
+async function loadContext (contextKey, ctx) {
+  await self.BPCSnapshots.ready();
+  if (replaying()) return;
+  const storageKey = CACHE_KEY_PREFIX + contextKey;
+  let saved;
+  try {
+    saved = (await chrome.storage.local.get(storageKey))[storageKey];
+  } catch (err) {
+    console.warn('[BPC] Failed to load price cache:', err);
+    return;
+  }
+  if (!saved?.entries) return;
+
+  const today = new Date().toISOString().slice(0, 10);
+  for (const [key, entry] of Object.entries(saved.entries)) {
+    if (Date.now() - entry.fetchedAt > CACHE_MAX_AGE_MS) continue;
+    if (key.split('/')[0] < today) continue;
+    if (ctx.entries.get(key)?.fetchedAt >= entry.fetchedAt) continue;
+    ctx.entries.set(key, entry);
+  }
+
+  // History outlives the cache entries – keep it until the check-in passes
+  for (const [key, points] of Object.entries(saved.history || {})) {
+    if (key.split('/')[0] < today) continue;
+    const lastSaved = points[points.length - 1]?.[0] || 0;
+    const newer = (ctx.history.get(key) || []).filter(p => p[0] > lastSaved);
+    ctx.history.set(key, [...points, ...newer].slice(-HISTORY_MAX_POINTS));
+  }
+}
+
+function isStale (entry, maxAgeMs = settings.cacheTtlHours * 3_600_000) {
+  return Date.now() - entry.fetchedAt > maxAgeMs;
+}
+
+/**
+ * Which result page a date pair needs next: 0 when it has no price yet or
+ * its price has gone stale (older than `maxAgeMs`, by default the cache
+ * TTL), 1…pageDepth-1 to widen a fresh one, -1 if none.
+ */
+function pageNeeded (ctx, key, maxAgeMs) {
+  const entry = ctx.entries.get(key);
+  if (!entry || isStale(entry, maxAgeMs)) return 0;
+  const pages = entry.pages || 1;
+  // Entries cached before per-property records can't be widened – wait until stale
+  if (entry.stats && entry.properties && !entry.exhausted && pages < settings.pageDepth) return pages;
+  return -1;
+}
+
+/**
+ * Record one result page for a date pair, push the updated stats to
+ * subscribed tabs and schedule persisting. Page 0 starts the entry afresh;
+ * deeper pages are merged into it. `soldOut` marks a property page that
+ * has no availability for the dates.
+ */
+function storePage (contextKey, key, page, properties, currency, soldOut = false) {
+  const ctx  = getContext(contextKey);
+  const now  = Date.now();
+  const prev = ctx.entries.get(key);
+
+  if (page > 0 && prev) {
+    if (!properties.length) {
+      // Ran out of results – don't ask for deeper pages again
+      prev.exhausted = true;
+      schedulePersist(contextKey, ctx);
+      return;
+    }
+    properties = dedupeProperties([...prev.properties || [], ...properties]);
+    currency = currency || prev.stats?.currency;
+  }
+
+  const pages = page + 1;
+  const stats = properties.length ? { ...calcStats(properties), currency, pages } : null;
+  ctx.entries.set(key, {
+    stats,
+    fetchedAt: page > 0 && prev ? prev.fetchedAt : now,
+    properties,
+    pages,
+    exhausted: false,
+    soldOut:   !stats && soldOut,
+  });
+  if (stats) recordHistory(ctx, key, stats, now);
+  schedulePersist(contextKey, ctx);
+  broadcast(contextKey, key);
+  if (!replaying()) checkWatches(contextKey, key);
+}
+
+/**
+ * Append an observation to a date pair's history. Observations made within
+ * a few minutes of each other (page scrape + background fetch, reloads)
+ * collapse into the latest one so the trend reflects real elapsed time.
+ */
+function recordHistory (ctx, key, stats, observedAt) {
+  const points = ctx.history.get(key) || [];
+  const last   = points[points.length - 1];
+  if (last && observedAt - last[0] < HISTORY_MERGE_MS) points.pop();
+  points.push([observedAt, stats.min, stats.avg]);
+  ctx.history.set(key, points.slice(-HISTORY_MAX_POINTS));
+}
+
+function schedulePersist (contextKey, ctx) {
+  if (replaying()) return;
+  clearTimeout(ctx.persistTimer);
+  ctx.persistTimer = setTimeout(() => persistContext(contextKey, ctx), CACHE_PERSIST_DELAY_MS);
+}
+
+/** Write a context to storage, pruning the least recently saved contexts */
+async function persistContext (contextKey, ctx) {
+  const value = {
+    savedAt: Date.now(),
+    entries: Object.fromEntries(ctx.entries),
+    history: Object.fromEntries(ctx.history),
+  };
+
+  try {
+    await chrome.storage.local.set({ [CACHE_KEY_PREFIX + contextKey]: value });
+
+    const all = await chrome.storage.local.get(null);
+    const stored = Object.keys(all)
+      .filter(k => k.startsWith(CACHE_KEY_PREFIX))
+      .sort((a, b) => (all[b].savedAt || 0) - (all[a].savedAt || 0));
+    if (stored.length > CACHE_MAX_CONTEXTS) {
+      const evicted = stored.slice(CACHE_MAX_CONTEXTS);
+      await chrome.storage.local.remove(evicted);
+      evicted.forEach(k => contexts.delete(k.slice(CACHE_KEY_PREFIX.length)));
+    }
+  } catch (err) {
+    console.warn('[BPC] Failed to save price cache:', err);
+  }
+}
+
+/**
+ * Prices parsed from replayed snapshots (snapshots.js) stay apart from the
+ * real cache: replay starts every context empty – so each page is parsed
+ * again – and saves nothing, nor checks the watchlist.
+ */
+function replaying () {
+  return self.BPCSnapshots.getMode() === 'replay';
+}
+
+// Switching replay on or off starts every context afresh (tabs follow on reload)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[SNAPSHOT_MODE_KEY]) contexts.clear();
+});
+
+// ─── Subscriptions ──────────────────────────────────────────────────────────
+
+/** tabId → contextKey of the search that tab is showing */
+const subscribers = new Map();
+
+/**
+ * Register a tab for a search context and hand it everything cached so far.
+ * A tab subscribes again after each navigation, so jobs it queued for its
+ * previous search are dropped (unless another tab still wants them).
+ */
+async function subscribe (tabId, params) {
+  const contextKey = searchContextKey(params);
+  releaseTab(tabId);
+  subscribers.set(tabId, contextKey);
+
+  const ctx = getContext(contextKey);
+  await ctx.ready;
+  const entries = {};
+  ctx.entries.forEach((entry, key) => { entries[key] = { stats: entry.stats, soldOut: !!entry.soldOut }; });
+  return {
+    contextKey,
+    entries,
+    history: Object.fromEntries(ctx.history),
+    fetchState,
+  };
+}
+
+/** Push one date pair's latest data to every tab showing its search */
+function broadcast (contextKey, key) {
+  const ctx   = contexts.get(contextKey);
+  const entry = ctx?.entries.get(key);
+  if (!entry) return;
+
+  const message = {
+    type:    'bpc:price',
+    contextKey,
+    key,
+    stats:   entry.stats,
+    soldOut: !!entry.soldOut,
+    history: ctx.history.get(key) || [],
+  };
+  for (const [tabId, subscribed] of subscribers) {
+    if (subscribed !== contextKey) continue;
+    chrome.tabs.sendMessage(tabId, message).catch(() => releaseTab(tabId));
+  }
+}
+
+// ─── Fetch queue ────────────────────────────────────────────────────────────
+
+/**
+ * Pending fetch jobs, oldest first.
+ * { id, contextKey, params, key, checkin, checkout, page, priority, low, tabs: Set<tabId> }
+ * `tabs` are the tabs still interested in the job (or WATCH_JOB for a
+ * watchlist re-check); jobs nobody wants any more are dropped before they
+ * are fetched, or aborted while they are. `page` is the 0-based result
+ * page; first pages go by `priority` (PRIORITY_*), deeper ones after all
+ * of them. `low` jobs (a tab's cheapest-window scan) only run when nothing
+ * else is queued, and at most one per SCAN_DELAY_MS.
+ */
+const fetchQueue = [];
+
+/** Jobs currently being fetched: id ("contextKey#checkin/checkout") → { job, controller } */
+const inFlight = new Map();
+
+let activeFetches = 0;
+
+/** Earliest time the next fetch may start (enforces the throttle delay) */
+let nextFetchAt = 0;
+let drainTimer  = 0;
+
+/** Earliest time the next low-priority job may start */
+let nextScanAt = 0;
+
+/**
+ * Adaptive throttle. Every blocked response doubles the gap between fetches
+ * and drops to one fetch at a time; runs of successful fetches ease it back
+ * towards the fetchDelayMs / maxConcurrent settings.
+ */
+const throttle = {
+  delayMs:       settings.fetchDelayMs,
+  maxConcurrent: settings.maxConcurrent,
+  failures:      0,   // blocked responses not yet worked off
+  successes:     0,   // successes since the last change
+};
+
+/**
+ * Global fetch state, shown in the calendar and the popup.
+ * Fetching stops for every tab once Booking.com answers with a bot check
+ * and only restarts when the user resumes it (or a tab shows real results).
+ */
+let fetchState = { paused: false, reason: '', url: '', since: 0 };
+
+// Survive service-worker restarts within the browser session
+chrome.storage.session.get({ fetchState }, (s) => {
+  if (s.fetchState.paused) fetchState = s.fetchState;
+});
+
+/**
+ * Queue the date pairs a tab needs that are missing or stale; `low` marks
+ * them as a background scan (see fetchQueue). `checkin` marks them as the
+ * stays from the tab's selected check-in: they follow its visible months,
+ * and supersede the stays from any check-in it selected before. `grid`
+ * marks them as the cells of the tab's price grid, which follow both and
+ * supersede the cells of the grid's previous window.
+ */
+async function request (tabId, params, dates, { low = false, checkin = false, grid = false } = {}) {
+  const contextKey = searchContextKey(params);
+  // Re-register: the worker may have been restarted since the tab subscribed
+  if (tabId !== undefined) subscribers.set(tabId, contextKey);
+  if (checkin) {
+    const selected = new Set(dates.map(([ci]) => ci));
+    releaseJobs(tabId, j => j.priority === PRIORITY_CHECKIN && !selected.has(j.checkin));
+  }
+  if (grid) {
+    const cells = new Set(dates.map(([ci, co]) => cacheKey(ci, co)));
+    releaseJobs(tabId, j => j.priority === PRIORITY_GRID && !cells.has(j.key));
+  }
+  const ctx = getContext(contextKey);
+  await ctx.ready;
+
+  const priority = checkin ? PRIORITY_CHECKIN : grid ? PRIORITY_GRID : PRIORITY_VISIBLE;
+  dates.forEach(([ci, co]) => {
+    const key = cacheKey(ci, co);
+    enqueue({ contextKey, params, key, checkin: ci, checkout: co, priority, low }, pageNeeded(ctx, key), new Set([tabId]));
+  });
+
+  drain();
+}
+
+/**
+ * Add (or join) the job for one result page of a date pair (property pages
+ * have one). A joined job keeps the more urgent of the two priorities.
+ */
+function enqueue (base, page, tabs) {
+  const id = `${base.contextKey}#${base.key}`;
+  if (page < 0 || (page > 0 && base.params.property)) return;
+
+  const priority = base.priority ?? PRIORITY_VISIBLE;
+  const running  = inFlight.get(id)?.job;
+  const queued   = running || fetchQueue.find(j => j.id === id);
+  if (queued) {
+    tabs.forEach(t => queued.tabs.add(t));
+    queued.priority = Math.min(queued.priority, priority);
+    if (running) return;
+    queued.page = Math.min(queued.page, page);
+    queued.low  = queued.low && !!base.low;
+    if (base.maxAgeMs !== undefined) queued.maxAgeMs = Math.min(queued.maxAgeMs ?? Infinity, base.maxAgeMs);
+    return;
+  }
+  fetchQueue.push({ ...base, id, page, priority, low: !!base.low, tabs: new Set(tabs) });
+}
+
+/**
+ * Next job to run: the most urgent first page (oldest among equals), else
+ * the oldest deeper page, else the oldest low-priority job once the scan
+ * gap has passed (null until then)
+ */
+function takeNextJob () {
+  const rank = j => (j.page === 0 ? j.priority : PRIORITY_DEEPER);
+  let next = -1;
+  fetchQueue.forEach((j, i) => {
+    if (!j.low && (next < 0 || rank(j) < rank(fetchQueue[next]))) next = i;
+  });
+  if (next >= 0) return fetchQueue.splice(next, 1)[0];
+
+  // Scan dates that got fetched meanwhile (by a tab or another scan) cost no gap
+  while (fetchQueue.length > 0 && pageNeeded(getContext(fetchQueue[0].contextKey), fetchQueue[0].key, fetchQueue[0].maxAgeMs) !== fetchQueue[0].page) {
+    fetchQueue.shift();
+  }
+  if (fetchQueue.length === 0 || Date.now() < nextScanAt) return null;
+  nextScanAt = Date.now() + jitter(SCAN_DELAY_MS);
+  return fetchQueue.shift();
+}
+
+/** Forget a tab: drop its subscription and the jobs only it wanted */
+function releaseTab (tabId) {
+  subscribers.delete(tabId);
+  releaseJobs(tabId);
+}
+
+/** Drop a tab's scan jobs (the finder was closed) */
+function cancelScan (tabId) {
+  releaseJobs(tabId, j => j.low);
+}
+
+/** Drop a tab's price grid jobs (the grid was closed) */
+function cancelGrid (tabId) {
+  releaseJobs(tabId, j => j.priority === PRIORITY_GRID);
+}
+
+/**
+ * Take a tab off the jobs `match` selects. Queued jobs nobody wants any
+ * more are dropped; fetches nobody waits for are aborted and their
+ * responses discarded.
+ */
+function releaseJobs (tabId, match = () => true) {
+  for (let i = fetchQueue.length - 1; i >= 0; i--) {
+    const job = fetchQueue[i];
+    if (!match(job)) continue;
+    job.tabs.delete(tabId);
+    if (job.tabs.size === 0) fetchQueue.splice(i, 1);
+  }
+  for (const { job, controller } of inFlight.values()) {
+    if (!match(job) || !job.tabs.delete(tabId)) continue;
+    if (job.tabs.size === 0) controller.abort();
+  }
+}
+
+/** Run drain() again in `wait` ms (once, however often it's asked) */
+function drainLater (wait) {
+  if (!drainTimer) drainTimer = setTimeout(() => { drainTimer = 0; drain(); }, wait);
+}
+
+function drain () {
+  if (fetchState.paused) return;
+
+  const wait = nextFetchAt - Date.now();
+  if (wait > 0) { drainLater(wait); return; }
+
+  while (fetchQueue.length > 0 && activeFetches < throttle.maxConcurrent) {
+    const job = takeNextJob();
+    if (!job) {
+      if (fetchQueue.length > 0) drainLater(nextScanAt - Date.now());
+      return;
+    }
+    if (pageNeeded(getContext(job.contextKey), job.key, job.maxAgeMs) !== job.page) continue; // populated meanwhile
+
+    const controller = new AbortController();
+    activeFetches++;
+    inFlight.set(job.id, { job, controller });
+    doFetch(job, controller.signal).finally(() => {
+      activeFetches--;
+      inFlight.delete(job.id);
+      nextFetchAt = Math.max(nextFetchAt, Date.now() + jitter(throttle.delayMs));
+      drain();
+    });
+
+    // Stagger concurrent fetches slightly
+    nextFetchAt = Date.now() + jitter(STAGGER_MS);
+    if (fetchQueue.length > 0) { drain(); return; }
+  }
+}
+
+/**
+ * Classify a search-results (or property-page) response:
+ *   ok        – prices found
+ *   empty     – a real results page without prices (cached as null; a
+ *               property page may say it is sold out)
+ *   challenge – CAPTCHA / bot-check page (pauses all fetching)
+ *   blocked   – rate-limited or refused (backs off and retries)
+ * along with the HTTP `status` and, for parsed pages, the extraction
+ * `strategy` and `parseMs` (for the diagnostics).
+ */
+async function classifyResponse (res, params) {
+  const { status } = res;
+  if (status === 429 || status === 503 || status === 403) return { kind: 'blocked', status };
+  if (/captcha|challenge/i.test(res.url)) return { kind: 'challenge', status };
+  if (!res.ok) return { kind: 'empty', status, properties: [], currency: null, soldOut: false };
+
+  const { properties, currency, soldOut, challenge, strategy, parseMs } =
+    await parsePrices(await res.text(), params.selectedCurrency, !!params.property);
+  if (challenge) return { kind: 'challenge', status, parseMs };
+  return { kind: properties.length ? 'ok' : 'empty', status, properties, currency, soldOut, strategy, parseMs };
+}
+
+/** Fetch one job; once `signal` aborts (nobody wants it any more) its response is discarded */
+async function doFetch (job, signal) {
+  const { contextKey, key, checkin, checkout, page } = job;
+  const url = buildSearchUrl(job.params, checkin, checkout, page);
+  let result, fetchMs;
+  try {
+    const started = performance.now();
+    const res = await fetchPage(url, {
+      credentials: 'include',
+      headers: {
+        'Accept':          'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      signal,
+    });
+    fetchMs = performance.now() - started;
+    result  = await classifyResponse(res, job.params);
+  } catch (err) {
+    if (signal.aborted) return;
+    console.debug('[BPC] Fetch failed', url, err);
+    recordFetch(job, url, { kind: 'failed', error: String(err?.message || err) });
+    job.attempts = (job.attempts || 0) + 1;
+    if (job.attempts < MAX_ATTEMPTS) { retryLater(job); return; }
+    storePage(contextKey, key, page, [], null);
+    return;
+  }
+  if (signal.aborted) return;
+  recordFetch(job, url, { ...result, fetchMs });
+
+  switch (result.kind) {
+    case 'challenge':
+      retryLater(job);
+      pauseFetching('challenge', url);
+      break;
+    case 'blocked':
+      backOff();
+      retryLater(job);
+      break;
+    default:
+      easeThrottle();
+      storePage(contextKey, key, page, result.properties, result.currency, result.soldOut);
+      // Widen the sample with the next result page, behind all first pages.
+      // A scan only needs the cheapest price, which the first page has.
+      if (job.low) break;
+      inFlight.delete(job.id);
+      enqueue(
+        { contextKey, params: job.params, key, checkin, checkout, priority: job.priority },
+        pageNeeded(getContext(contextKey), key),
+        job.tabs
+      );
+  }
+}
+
+/** Put a job back at the front of the queue (unless it was re-queued already) */
+function retryLater (job) {
+  if (!fetchQueue.some(j => j.id === job.id)) fetchQueue.unshift(job);
+}
+
+/** Exponential back-off after a blocked response */
+function backOff () {
+  throttle.failures++;
+  throttle.successes     = 0;
+  throttle.maxConcurrent = 1;
+  throttle.delayMs       = Math.min(settings.fetchDelayMs * 2 ** throttle.failures, BACKOFF_MAX_MS);
+
+  const wait = Math.min(RETRY_DELAY_MS * 2 ** (throttle.failures - 1), BACKOFF_MAX_MS);
+  nextFetchAt = Date.now() + jitter(wait);
+  console.debug('[BPC] Blocked – backing off', Math.round(wait / 1000), 's', { ...throttle });
+}
+
+/** After enough successes in a row, halve the gap / restore parallel fetches */
+function easeThrottle () {
+  if (throttle.failures === 0) return;
+  if (++throttle.successes < RECOVER_AFTER) return;
+
+  throttle.successes = 0;
+  throttle.failures--;
+  throttle.delayMs = Math.max(settings.fetchDelayMs, throttle.delayMs / 2);
+  if (throttle.failures === 0) throttle.maxConcurrent = settings.maxConcurrent;
+}
+
+function pauseFetching (reason, url) {
+  if (fetchState.paused) return;
+  console.warn('[BPC] Booking.com bot check detected – pausing price fetches', url);
+  setFetchState({ paused: true, reason, url, since: Date.now() });
+}
+
+/** Restart fetching after a pause, cautiously (one at a time, wider gaps) */
+function resumeFetching () {
+  if (!fetchState.paused) return;
+  throttle.failures      = 2;
+  throttle.successes     = 0;
+  throttle.maxConcurrent = 1;
+  throttle.delayMs       = settings.fetchDelayMs * 4;
+  nextFetchAt = 0;
+  setFetchState({ paused: false, reason: '', url: '', since: 0 });
+  drain();
+}
+
+/** Store and announce the fetch state to tabs and the toolbar icon */
+function setFetchState (state) {
+  fetchState = state;
+  chrome.storage.session.set({ fetchState });
+  chrome.action.setBadgeText({ text: state.paused ? '!' : '' });
+  chrome.action.setBadgeBackgroundColor({ color: '#c2410c' });
+
+  // Every Booking.com tab – homepage tabs only subscribe once they fetch
+  chrome.tabs.query({ url: 'https://www.booking.com/*' }, tabs => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { type: 'bpc:fetch-state', state }).catch(() => {});
+    });
+  });
+}
+
+// ─── Offscreen parsing ──────────────────────────────────────────────────────
+
+let creatingOffscreen = null;
+
+async function ensureOffscreenDocument () {
+  const existing = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (existing.length > 0) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url:           OFFSCREEN_URL,
+      reasons:       ['DOM_PARSER'],
+      justification: 'Parse fetched Booking.com search results for hotel prices',
+    }).finally(() => { creatingOffscreen = null; });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Parse a fetched search-results page, or with `property` a property page's
+ * room table, using the active selector pack
+ * → { properties, currency, soldOut, challenge, strategy, parseMs }
+ */
+async function parsePrices (html, selectedCurrency, property = false) {
+  const pack = await self.BPCSelectors.ready();
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({
+    target: 'offscreen', type: 'bpc:parse-prices', html, selectedCurrency, property, pack,
+  });
+}
+
+// ─── Diagnostics ────────────────────────────────────────────────────────────
+
+/**
+ * How well extraction is doing since the counters were last reset – the
+ * diagnostics panel of the options page, exported as a JSON report for bug
+ * tickets:
+ *
+ *   strategies – per extraction strategy (BPCExtract.STRATEGIES, 'roomTable'
+ *                for property pages): `hits` = pages it found the prices on,
+ *                `misses` = pages it was tried on in vain
+ *   fetchMs    – worker fetch latency (until the response headers)
+ *   parseMs    – offscreen parse + extraction time
+ *   outcomes   – worker fetches by result (see classifyResponse; `failed` =
+ *                network error)
+ *   errors     – last error per date pair: "contextKey#key" → { search, dates, error, url, at },
+ *                the DIAG_MAX_ERRORS most recent
+ *   detail     – the compare modal's detail pages: fetches, iframe renders
+ *                by outcome, and what the last fetched page yielded
+ *
+ * Kept in chrome.storage.session so it survives service-worker restarts.
+ */
+let diagnostics = emptyDiagnostics();
+
+const diagnosticsReady = chrome.storage.session.get('diagnostics').then(({ diagnostics: saved }) => {
+  if (saved) diagnostics = saved;
+});
+
+function emptyDiagnostics () {
+  const timing = () => ({ count: 0, totalMs: 0, maxMs: 0, lastMs: 0 });
+  return {
+    since:      Date.now(),
+    strategies: {},
+    fetchMs:    timing(),
+    parseMs:    timing(),
+    outcomes:   { ok: 0, empty: 0, soldOut: 0, blocked: 0, challenge: 0, failed: 0 },
+    errors:     {},
+    detail:     { pages: 0, pageFailures: 0, iframes: { loaded: 0, failed: 0, timedOut: 0 }, last: null },
+  };
+}
+
+/** Apply a change to the diagnostics (once loaded) and store them */
+function updateDiagnostics (change) {
+  diagnosticsReady.then(() => {
+    change(diagnostics);
+    chrome.storage.session.set({ diagnostics });
+  });
+}
+
+/** Count one worker fetch: its outcome, timings, strategies and error (if any) */
+function recordFetch (job, url, { kind, status, soldOut, strategy, parseMs, fetchMs, error }) {
+  updateDiagnostics(d => {
+    d.outcomes[kind === 'empty' && soldOut ? 'soldOut' : kind]++;
+    if (fetchMs !== undefined) addTiming(d.fetchMs, fetchMs);
+    if (parseMs !== undefined) addTiming(d.parseMs, parseMs);
+    if (strategy !== undefined && !soldOut) countStrategies(d, strategy, !!job.params.property);
+
+    let message = '';
+    if (kind === 'failed')         message = `Network error: ${error}`;
+    else if (kind === 'blocked')   message = `Refused by Booking.com (HTTP ${status})`;
+    else if (kind === 'challenge') message = 'Bot check';
+    else if (kind === 'empty' && status !== 200) message = `HTTP ${status}`;
+    // Deeper result pages run out of properties – only a first page should have prices
+    else if (kind === 'empty' && !soldOut && job.page === 0) message = 'No prices found on the page';
+    if (message) noteError(d, job.contextKey, job.params, job.key, url, message);
+  });
+}
+
+/** Count prices a tab scraped from its own page (see bpc:put) */
+function recordScrape (params, strategy) {
+  if (!strategy) return;
+  updateDiagnostics(d => countStrategies(d, strategy, !!params.property));
+}
+
+/** A hit for the strategy that found a page's prices, a miss for each tried before it */
+function countStrategies (d, strategy, property) {
+  const tried = property ? ['roomTable'] : STRATEGIES;
+  const found = tried.indexOf(strategy);
+  tried.slice(0, found < 0 ? tried.length : found + 1).forEach(name => {
+    const counts = d.strategies[name] ||= { hits: 0, misses: 0 };
+    if (name === strategy) counts.hits++;
+    else counts.misses++;
+  });
+}
+
+function addTiming (timing, ms) {
+  timing.count++;
+  timing.totalMs += ms;
+  timing.maxMs    = Math.max(timing.maxMs, ms);
+  timing.lastMs   = ms;
+}
+
+/** Remember a date pair's last error, dropping the oldest beyond DIAG_MAX_ERRORS */
+function noteError (d, contextKey, params, key, url, error) {
+  const id = `${contextKey}#${key}`;
+  delete d.errors[id];   // re-insert as the most recent
+  d.errors[id] = { search: contextName(params), dates: key, error, url, at: Date.now() };
+  const ids = Object.keys(d.errors);
+  ids.slice(0, ids.length - DIAG_MAX_ERRORS).forEach(old => delete d.errors[old]);
+}
+
+/** Count a detail-page fetch (`page`) or iframe render (`iframe` outcome) reported by a tab */
+function recordDetail ({ page, iframe }) {
+  updateDiagnostics(({ detail }) => {
+    if (iframe) detail.iframes[iframe]++;
+    if (!page) return;
+    detail.pages++;
+    if (page.ok) detail.last = { ...page, at: Date.now() };
+    else detail.pageFailures++;
+  });
+}
+
+/** The diagnostics, with the current queue and throttle for context */
+async function getDiagnostics () {
+  await diagnosticsReady;
+  return {
+    ...diagnostics,
+    queue: { queued: fetchQueue.length, inFlight: inFlight.size, throttle: { ...throttle } },
+    fetchState,
+  };
+}
+
+function resetDiagnostics () {
+  updateDiagnostics(() => { diagnostics = emptyDiagnostics(); });
+}
+
+// ─── Watchlist ──────────────────────────────────────────────────────────────
+
+/**
+ * Date pairs and hotels the user asked to be told about when their price
+ * drops to a target, persisted in chrome.storage.local as `watchlist`:
+ *
+ *   { id, kind: 'dates' | 'hotel', params, checkin, checkout, target,
+ *     currency, propertyId, hotelName, hotelUrl,       (hotel watches only)
+ *     lastPrice, lastCheckedAt, notifiedPrice, createdAt }
+ *
+ * An hourly alarm re-runs each watch's search through the fetch queue; every
+ * fresh price for a watched pair (from the alarm or from an open tab) is
+ * compared with the target.
+ */
+let watchlist = [];
+const watchlistReady = chrome.storage.local.get({ watchlist: [] }).then(s => {
+  watchlist = s.watchlist;
+  syncWatchAlarm();
+});
+
+function saveWatchlist () {
+  chrome.storage.local.set({ watchlist }).catch(err => {
+    console.warn('[BPC] Failed to save watchlist:', err);
+  });
+  syncWatchAlarm();
+}
+
+/** Keep the re-check alarm running exactly while something is watched */
+async function syncWatchAlarm () {
+  const alarm = await chrome.alarms.get(WATCH_ALARM);
+  if (watchlist.length && !alarm) {
+    chrome.alarms.create(WATCH_ALARM, { delayInMinutes: 1, periodInMinutes: WATCH_INTERVAL_MIN });
+  } else if (!watchlist.length && alarm) {
+    chrome.alarms.clear(WATCH_ALARM);
+  }
+}
+
+async function addWatch (watch) {
+  await watchlistReady;
+  const entry = {
+    ...watch,
+    id:            `w${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    lastPrice:     null,
+    lastCheckedAt: null,
+    notifiedPrice: null,
+    createdAt:     Date.now(),
+  };
+  watchlist.push(entry);
+  saveWatchlist();
+  // Judge it against the cached price straight away
+  const contextKey = searchContextKey(entry.params);
+  await getContext(contextKey).ready;
+  checkWatches(contextKey, cacheKey(entry.checkin, entry.checkout));
+  return entry;
+}
+
+async function removeWatch (id) {
+  await watchlistReady;
+  watchlist = watchlist.filter(w => w.id !== id);
+  saveWatchlist();
+  chrome.notifications.clear(id);
+}
+
+/**
+ * Alarm tick: drop watches whose check-in has passed and queue a fetch for
+ * every watched pair not checked within the last interval – however long
+ * the cache TTL would keep its price.
+ */
+async function recheckWatches () {
+  await watchlistReady;
+  const today = new Date().toISOString().slice(0, 10);
+  const live  = watchlist.filter(w => w.checkin >= today);
+  if (live.length !== watchlist.length) { watchlist = live; saveWatchlist(); }
+
+  for (const w of watchlist) {
+    const contextKey = searchContextKey(w.params);
+    const ctx = getContext(contextKey);
+    await ctx.ready;
+    const key = cacheKey(w.checkin, w.checkout);
+    const base = { contextKey, params: w.params, key, checkin: w.checkin, checkout: w.checkout, maxAgeMs: WATCH_MAX_AGE_MS };
+    enqueue(base, pageNeeded(ctx, key, WATCH_MAX_AGE_MS), new Set([WATCH_JOB]));
+  }
+  drain();
+}
+
+/** Compare the watches on a date pair with its latest price; notify on a drop */
+function checkWatches (contextKey, key) {
+  const entry = contexts.get(contextKey)?.entries.get(key);
+  if (!entry) return;
+
+  let changed = false;
+  watchlist.forEach(w => {
+    if (searchContextKey(w.params) !== contextKey || cacheKey(w.checkin, w.checkout) !== key) return;
+
+    // A property page's prices are all that hotel's – but only its own hotel
+    // is judged by them
+    const price = w.kind === 'hotel' && w.propertyId !== w.params.property
+      ? (entry.properties || []).find(p => p.propertyId === w.propertyId)?.price ?? null
+      : entry.stats?.min ?? null;
+    w.lastPrice     = price;
+    w.lastCheckedAt = Date.now();
+    changed = true;
+
+    if (price === null) return;
+    if (price > w.target) { w.notifiedPrice = null; return; }
+    if (w.notifiedPrice !== null && price >= w.notifiedPrice) return;   // already told
+
+    w.notifiedPrice = price;
+    notifyWatch(w, price, entry.stats?.currency || w.currency);
+  });
+  if (changed) saveWatchlist();
+}
+
+function notifyWatch (w, price, currency) {
+  const amount = formatPrice(price, currency);
+  const target = formatPrice(w.target, currency);
+  const dates  = `${w.checkin} → ${w.checkout}`;
+  chrome.notifications.create(w.id, {
+    type:     'basic',
+    iconUrl:  'icons/icon128.png',
+    title:    w.kind === 'hotel'
+      ? `${w.hotelName} is now ${amount}`
+      : `${contextName(w.params) || 'Your search'} from ${amount}`,
+    message:  `${dates} · below your ${target} target`,
+    priority: 1,
+  });
+}
+
+/** Open the watched search (or hotel) for the notification that was clicked */
+chrome.notifications.onClicked.addListener(async (id) => {
+  await watchlistReady;
+  const w = watchlist.find(x => x.id === id);
+  if (!w) return;
+  const url = w.kind === 'hotel' && w.hotelUrl
+    ? buildPropertyUrl(w.hotelUrl, w.params, w.checkin, w.checkout)
+    : buildSearchUrl(w.params, w.checkin, w.checkout);
+  chrome.tabs.create({ url });
+  chrome.notifications.clear(id);
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === WATCH_ALARM) recheckWatches();
+});
+
+// ─── Export / import ────────────────────────────────────────────────────────
+
+/** Every priced date pair cached for a search context, by check-in */
+async function exportContext (params) {
+  const ctx = getContext(searchContextKey(params));
+  await ctx.ready;
+  return [...ctx.entries]
+    .filter(([, entry]) => entry.stats)
+    .map(([key, entry]) => {
+      const [checkin, checkout] = key.split('/');
+      return { checkin, checkout, stats: entry.stats, fetchedAt: entry.fetchedAt };
+    })
+    .sort((a, b) => a.checkin.localeCompare(b.checkin) || a.checkout.localeCompare(b.checkout));
+}
+
+/**
+ * Merge exported entries (another machine's cache) into a search context.
+ * Entries for past check-ins, older than the cache keeps, or older than what
+ * is cached here already are skipped. Imported entries have no per-property
+ * records, so they are re-fetched rather than widened once stale.
+ * → { contextKey, imported, skipped }, or { error } when the entries aren't
+ * a list of objects.
+ */
+async function importContext (params, entries) {
+  if (!params || typeof params !== 'object' ||
+      !Array.isArray(entries) || !entries.every(e => e && typeof e === 'object')) {
+    return { error: 'the file’s prices aren’t in the export format' };
+  }
+  const contextKey = searchContextKey(params);
+  const ctx = getContext(contextKey);
+  await ctx.ready;
+
+  const today = new Date().toISOString().slice(0, 10);
+  let imported = 0;
+  entries.forEach(({ checkin, checkout, stats: raw, fetchedAt }) => {
+    const stats = cleanStats(raw);
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(checkin) && /^\d{4}-\d{2}-\d{2}$/.test(checkout) &&
+      checkout > checkin && checkin >= today && stats &&
+      Number.isFinite(fetchedAt) && Date.now() - fetchedAt < CACHE_MAX_AGE_MS;
+    const key = cacheKey(checkin, checkout);
+    if (!valid || ctx.entries.get(key)?.fetchedAt >= fetchedAt) return;
+
+    ctx.entries.set(key, { stats, fetchedAt, properties: null, pages: stats.pages || 1, exhausted: false });
+    broadcast(contextKey, key);
+    imported++;
+  });
+  if (imported) schedulePersist(contextKey, ctx);
+  return { contextKey, imported, skipped: entries.length - imported };
+}
+
+/**
+ * Imported stats rebuilt from the fields tabs render, so a hand-edited file
+ * can't smuggle markup into tooltips. null unless min / avg / max / count
+ * are numbers.
+ */
+function cleanStats (stats) {
+  if (!stats || typeof stats !== 'object') return null;
+  const clean = {};
+  ['min', 'max', 'avg', 'trimmedAvg', 'median', 'p25', 'p75', 'count', 'outliers', 'pages'].forEach(f => {
+    if (Number.isFinite(stats[f])) clean[f] = stats[f];
+  });
+  if (!['min', 'max', 'avg', 'count'].every(f => f in clean)) return null;
+
+  if (Array.isArray(stats.histogram) && stats.histogram.every(Number.isFinite)) {
+    clean.histogram = stats.histogram.slice(0, 8);
+  }
+  const code = stats.currency?.code;
+  clean.currency = /^[A-Z]{3}$/.test(code) ? { symbol: code, code } : null;
+
+  const c = stats.cheapest;
+  clean.cheapest = c && typeof c.name === 'string' && Number.isFinite(c.price)
+    ? {
+      name:  c.name,
+      url:   typeof c.url === 'string' && c.url.startsWith('https://www.booking.com/') ? c.url : null,
+      price: c.price,
+      stars: Math.min(5, Math.max(0, Math.round(Number(c.stars)) || 0)),
+      score: Number.isFinite(c.score) ? c.score : 0,
+    }
+    : null;
+  return clean;
+}
+
+// ─── Messaging ──────────────────────────────────────────────────────────────
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg || msg.target === 'offscreen') return;
+  const tabId = sender.tab?.id;
+
+  switch (msg.type) {
+    case 'bpc:subscribe':
+      subscribe(tabId, msg.params).then(sendResponse);
+      return true;
+
+    case 'bpc:request':
+      request(tabId, msg.params, msg.dates, { low: msg.low, checkin: msg.checkin, grid: msg.grid })
+        .then(() => sendResponse(true), err => {
+          console.warn('[BPC] Failed to queue prices:', err);
+          sendResponse({ error: String(err?.message || err) });
+        });
+      return true;
+
+    case 'bpc:scan-cancel':
+      cancelScan(tabId);
+      break;
+
+    case 'bpc:grid-cancel':
+      cancelGrid(tabId);
+      break;
+
+    case 'bpc:put': {
+      // Prices the tab scraped from its own results (or property) page. Real
+      // results in a tab also mean the user got past the bot check → resume fetching.
+      const contextKey = searchContextKey(msg.params);
+      getContext(contextKey).ready.then(() => {
+        storePage(contextKey, msg.key, 0, msg.properties, msg.stats?.currency, msg.soldOut);
+      });
+      recordScrape(msg.params, msg.strategy);
+      resumeFetching();
+      break;
+    }
+
+    case 'bpc:diagnostics-detail':
+      recordDetail(msg);
+      break;
+
+    case 'bpc:get-diagnostics':
+      getDiagnostics().then(sendResponse);
+      return true;
+
+    case 'bpc:reset-diagnostics':
+      resetDiagnostics();
+      break;
+
+    case 'bpc:get-fetch-state':
+      sendResponse(fetchState);
+      break;
+
+    case 'bpc:resume':
+      resumeFetching();
+      break;
+
+    case 'bpc:watch-add':
+      addWatch(msg.watch).then(sendResponse);
+      return true;
+
+    case 'bpc:export':
+      exportContext(msg.params).then(sendResponse);
+      return true;
+
+    case 'bpc:import':
+      importContext(msg.params, msg.entries).then(sendResponse, err => {
+        console.warn('[BPC] Failed to import prices:', err);
+        sendResponse({ error: 'the prices couldn’t be imported' });
+      });
+      return true;
+
+    case 'bpc:watch-remove':
+      removeWatch(msg.id).then(() => sendResponse(true));
+      return true;
+  }
+});
+
+chrome.tabs.onRemoved.addListener(releaseTab);
+
+// ─── Utilities ──────────────────────────────────────────────────────────────
+
+/** Randomise a delay by ±25% so fetches don't fall into a detectable rhythm */
+function jitter (ms) {
+  return Math.round(ms * (0.75 + Math.random() * 0.5));
+}
@@ -6,48 +6,189 @@
  * Scrapes hotel prices from the current search results page, then fetches
  * prices for every other date visible in the date-picker calendar, and
  * overlays min / avg / max statistics on each calendar day cell –
- * just like Google Flights' price calendar.
+ * just like Google Flights' price calendar. On a hotel's own page the
+ * statistics are over that hotel's room options instead, and dates it has
+ * no availability for are marked sold out.
  */
 (function () {
 
+  // Shared with the background worker / offscreen parser (search.js, price.js, settings.js, selectors.js, extract.js, snapshots.js)
+  const {
+    extractPropertiesFromDoc, extractRoomsFromDoc, propertyIdFromUrl, calcStats,
+  } = BPCExtract;
+  const { parsePrice, formatPrice, pageLocale } = BPCPrice;
+  const {
+    cacheKey, searchContextKey, readOccupancy, readFilters, buildPropertyUrl,
+    addDays, daysBetween,
+  } = BPCSearch;
+  const { get: selector, withPack, withDefaults, checkPack } = BPCSelectors;
+  const { fetchPage, getMode: snapshotMode } = BPCSnapshots;
+  const { DEFAULTS } = BPCSettings;
+
   // ─── Constants ──────────────────────────────────────────────────────────────
 
   const BADGE_CLASS    = 'bpc-price-badge';
   const INJECTED_ATTR  = 'data-bpc-done';
-  const FETCH_DELAY_MS      = 900;   // gap between background price-fetches (ms)
-  const MAX_CONCURRENT      = 2;     // parallel fetch slots
-  const SCRAPE_DELAY_MS     = 3000;  // wait for dynamic content before first scrape
+  const MATRIX_MODAL_ID = 'bpc-matrix-modal';
+  const MATRIX_ROWS    = 14;   // check-in dates shown in the price matrix
+  const MATRIX_NIGHTS  = 14;   // length-of-stay columns (1…n nights)
+  const FINDER_MODAL_ID = 'bpc-finder-modal';
+  const FINDER_MAX_DAYS = 90;  // longest check-in range the window finder scans
+  const FINDER_RESULTS  = 10;  // cheapest windows listed
+  const EXPORT_FORMAT   = 'bpc-prices';  // marks JSON files written by exportPrices
+  const EXPORT_VERSION  = 1;
+
+  /** Booking.com's party when neither the URL nor the search box names one */
+  const DEFAULT_PARTY = { adults: '2', children: '0', ages: '', rooms: '1' };
   const DETAIL_LOAD_DELAY_MS = 1500; // pause before retrying hotel detail fetch
 
   // ─── Runtime state ──────────────────────────────────────────────────────────
 
-  /** Whether to sort fetched results by price (loaded from storage) */
-  let sortByPrice = true;
+  // Settings (settings.js) start at their defaults until loaded
+  /** Whether to sort fetched results by price */
+  let sortByPrice = DEFAULTS.sortByPrice;
+
+  /**
+   * What badges, tooltips and colours compare:
+   * 'total' stay price, price per 'night', or per 'person' per night
+   */
+  let displayMode = DEFAULTS.displayMode;
+
+  /** Show the trimmed mean (10% cut at each end) as the tooltip's average */
+  let trimmedMean = DEFAULTS.trimmedMean;
 
-  // Keep in sync with popup toggle changes (no page reload needed)
-  chrome.storage.sync.get({ sortByPrice: true }, (s) => { sortByPrice = s.sortByPrice; });
-  chrome.storage.onChanged.addListener((changes) => {
-    if (changes.sortByPrice) sortByPrice = changes.sortByPrice.newValue;
+  /**
+   * What badges show: the lowest 'price', or its 'delta' from the searched
+   * dates' (see priceDelta)
+   */
+  let badgeMode = DEFAULTS.badgeMode;
+
+  /**
+   * How badges are coloured (see colorBands):
+   *   strategy 'quantile' | 'budget' | 'relative'
+   *   budget   { low, high } – green up to low, orange from high (display-mode units)
+   *   relative percent cheaper / dearer than the searched dates for green / orange
+   */
+  let coloring = { strategy: DEFAULTS.colorStrategy, budget: DEFAULTS.budgetBands, relative: DEFAULTS.relativeBand };
+
+  /** Wait before the first scrape of a results page, for its dynamic content (ms) */
+  let scrapeDelayMs = DEFAULTS.scrapeDelayMs;
+
+  /** Stays (1…n nights) priced from a selected check-in date */
+  let checkinStayNights = DEFAULTS.checkinStayNights;
+
+  /** Hotels the compare view holds */
+  let maxCompare = DEFAULTS.maxCompare;
+
+  /** How long a hotel detail page may take to render in its hidden iframe (s) */
+  let detailTimeoutSec = DEFAULTS.detailTimeoutSec;
+
+  // Settings changed in the popup or on the options page apply without a page reload
+  const settingsLoaded = BPCSettings.load().then(s => {
+    sortByPrice       = s.sortByPrice;
+    displayMode       = s.displayMode;
+    trimmedMean       = s.trimmedMean;
+    badgeMode         = s.badgeMode;
+    coloring          = { strategy: s.colorStrategy, budget: s.budgetBands, relative: s.relativeBand };
+    scrapeDelayMs     = s.scrapeDelayMs;
+    checkinStayNights = s.checkinStayNights;
+    maxCompare        = s.maxCompare;
+    detailTimeoutSec  = s.detailTimeoutSec;
+  });
+  BPCSettings.onChange(changed => {
+    if ('sortByPrice' in changed) {
+      sortByPrice = changed.sortByPrice;
+      // Sort order is part of the search context → switch to the matching cache
+      if (searchParams) subscribeToSearch();
+    }
+    if ('displayMode' in changed) {
+      displayMode = changed.displayMode;
+      updateAllBadges();
+    }
+    if ('trimmedMean' in changed) {
+      trimmedMean = changed.trimmedMean;
+      updateAllBadges();
+    }
+    if ('badgeMode' in changed) {
+      badgeMode = changed.badgeMode;
+      updateAllBadges();
+    }
+    if ('colorStrategy' in changed || 'budgetBands' in changed || 'relativeBand' in changed) {
+      coloring = {
+        strategy: changed.colorStrategy ?? coloring.strategy,
+        budget:   changed.budgetBands   ?? coloring.budget,
+        relative: changed.relativeBand  ?? coloring.relative,
+      };
+      applyColorCoding();
+    }
+    if ('scrapeDelayMs' in changed)    scrapeDelayMs    = changed.scrapeDelayMs;
+    if ('maxCompare' in changed)       maxCompare       = changed.maxCompare;
+    if ('detailTimeoutSec' in changed) detailTimeoutSec = changed.detailTimeoutSec;
+    if ('checkinStayNights' in changed) {
+      checkinStayNights = changed.checkinStayNights;
+      if (selectedCheckin && searchParams) requestPrices(checkinStays(selectedCheckin), { checkin: true });
+      updateAllBadges();
+    }
   });
 
   /** Parsed params from the current search URL */
   let searchParams = null;
 
-  /** { symbol, code } of the currency detected on the page */
-  let currency = { symbol: '$', code: 'USD' };
+  /**
+   * { symbol, code } of the currency this page's own prices are in (null
+   * until seen) – the fallback for results that don't name theirs
+   */
+  let currency = null;
 
   /**
-   * Price cache.
+   * Price cache – this tab's copy of the background worker's cache for the
+   * current search context (on the homepage, homepageContext's).
    * key  = "YYYY-MM-DD/YYYY-MM-DD"  (checkin/checkout)
-   * val  = { min, max, avg, count } | null (fetched but empty)
+   * val  = { min, max, avg, count, currency } | null (fetched but empty)
    */
   const priceCache = new Map();
 
-  /** Pending fetch jobs */
-  const fetchQueue  = [];
-  let   activeFetches = 0;
+  /**
+   * Price history per date pair, oldest first (copy of the worker's).
+   * key = same as priceCache
+   * val = [[observedAt, min, avg], …]
+   */
+  const priceHistory = new Map();
+
+  /** priceCache keys (null entries) a hotel page has no availability for */
+  const soldOutKeys = new Set();
+
+  /** searchContextKey() of the search the priceCache currently belongs to */
+  let cacheContextKey = null;
+
+  /**
+   * Search context built from the homepage search box (destination, party,
+   * …) that homepage-mode prices are fetched for – null until a date is
+   * picked. Like a search's, it has its own cache in the worker.
+   */
+  let homepageContext = null;
+
+  /**
+   * Background worker's fetch state. While paused (Booking.com showed a bot
+   * check) no prices are fetched by any tab and the calendar says so.
+   */
+  let fetchState = { paused: false };
+
   const badgeCloseTransitions = new WeakMap();
 
+  /**
+   * Screen-reader text of each badge: a visually hidden element next to it
+   * that its date cell names in aria-describedby
+   */
+  const badgeDescriptions = new WeakMap();
+  let descriptionCount = 0;
+
+  /** Badges still waiting for a price per calendar, at the last check */
+  const pendingBadges = new WeakMap();
+
+  /** Markup last written to each calendar's colour legend */
+  const legendHtml = new WeakMap();
+
   /**
    * The check-in date the user has selected on the calendar (first click).
    * While set, the 3 days after it show prices using it as checkin.
@@ -64,7 +205,15 @@
 
     // Only scrape if we already have a full search context (search results page)
     if (searchParams) {
-      setTimeout(scrapeCurrentPage, SCRAPE_DELAY_MS);
+      subscribeToSearch();
+      setTimeout(scrapeCurrentPage, scrapeDelayMs);
+    }
+
+    // Homepage tabs only subscribe once a date is picked, but must still respect a global pause
+    if (!searchParams) {
+      chrome.runtime.sendMessage({ type: 'bpc:get-fetch-state' })
+        .then(setFetchState)
+        .catch(() => {});
     }
 
     // Always watch for the date-picker calendar (homepage, search results, hotel pages)
@@ -101,6 +250,18 @@
       const nights = daysBetween(checkin, checkout);
       if (nights <= 0) return null;
 
+      // A hotel page's prices are its rooms – no destination, filters or sort
+      const property = /^\/hotel\//.test(url.pathname) ? propertyIdFromUrl(url.pathname) : null;
+      if (property) {
+        return {
+          checkin, checkout, nights,
+          dest: '', destId: '', destType: '',
+          ...(readOccupancy(sp) || DEFAULT_PARTY),
+          ...readFilters(sp),
+          filters: '', order: '', property,
+        };
+      }
+
       return {
         checkin,
         checkout,
@@ -108,9 +269,8 @@
         dest:     sp.get('ss')            || '',
         destId:   sp.get('dest_id')       || '',
         destType: sp.get('dest_type')     || '',
-        adults:   sp.get('group_adults')  || '2',
-        children: sp.get('group_children')|| '0',
-        rooms:    sp.get('no_rooms')      || '1',
+        ...(readOccupancy(sp) || DEFAULT_PARTY),   // adults, children, ages, rooms
+        ...readFilters(sp),                        // filters, order, selectedCurrency
       };
     } catch (_) {
       return null;
@@ -135,41 +295,21 @@
     return null;
   }
 
-  function buildSearchUrl (checkin, checkout) {
-    const p = searchParams;
-    const u = new URL('/searchresults.html', 'https://www.booking.com');
-    const s = u.searchParams;
-
-    // Always use the individual field format – maximally compatible
-    const [cy, cm, cd] = checkin.split('-');
-    const [oy, om, od] = checkout.split('-');
-
-    if (p.dest)     s.set('ss',               p.dest);
-    if (p.destId)   s.set('dest_id',          p.destId);
-    if (p.destType) s.set('dest_type',        p.destType);
-
-    s.set('checkin_year',       cy);
-    s.set('checkin_month',      String(parseInt(cm, 10)));
-    s.set('checkin_monthday',   String(parseInt(cd, 10)));
-    s.set('checkout_year',      oy);
-    s.set('checkout_month',     String(parseInt(om, 10)));
-    s.set('checkout_monthday',  String(parseInt(od, 10)));
-
-    s.set('group_adults',   p.adults);
-    s.set('group_children', p.children);
-    s.set('no_rooms',       p.rooms);
-    if (sortByPrice) s.set('order', 'price');
-
-    return u.toString();
-  }
-
   // ─── Price scraping (current page DOM) ──────────────────────────────────────
 
   function scrapeCurrentPage () {
-    const prices = extractPricesFromDoc(document);
-    if (prices.length > 0) {
-      const key = cacheKey(searchParams.checkin, searchParams.checkout);
-      priceCache.set(key, calcStats(prices));
+    // A hotel page lists its own room options rather than other properties
+    const extract = searchParams.property ? extractRoomsFromDoc : extractPropertiesFromDoc;
+    const { properties, currency: found, soldOut, strategy } = extract(document, {
+      selectedCurrency: searchParams.selectedCurrency,
+    });
+    const key = cacheKey(searchParams.checkin, searchParams.checkout);
+    if (properties.length > 0) {
+      if (found) currency = found;
+      storePrice(key, properties, { ...calcStats(properties), currency, pages: 1 }, { strategy });
+      updateAllBadges();
+    } else if (soldOut) {
+      storePrice(key, [], null, { soldOut: true });
       updateAllBadges();
     } else {
       // Retry – dynamic content may not be loaded yet
@@ -177,161 +317,11 @@
     }
   }
 
-  /**
-   * Extracts price numbers from a document (current page or a fetched HTML doc).
-   * Uses a waterfall of selector strategies so it stays resilient to UI changes.
-   */
-  function extractPricesFromDoc (doc) {
-    const prices = [];
-    const seen   = new Set();
-
-    // Ordered from most-specific to least-specific
-    const selectors = [
-      '[data-testid="price-and-discounted-price"]',
-      '[data-testid="property-card-container"] [class*="price"]',
-      '.bui-price-display__value',
-      '.prco-valign-middle-helper',
-      '[class*="Price__amount"]',
-      '[class*="finalPrice"]',
-      '[class*="sr_price"] [class*="price"]',
-    ];
-
-    for (const sel of selectors) {
-      try {
-        const nodes = doc.querySelectorAll(sel);
-        if (!nodes.length) continue;
-
-        nodes.forEach(el => {
-          const p = parsePrice(el.textContent);
-          if (p > 0 && !seen.has(p)) {
-            seen.add(p);
-            prices.push(p);
-            if (prices.length === 1) detectCurrency(el.textContent);
-          }
-        });
-
-        // If we found a reasonable number of prices, stop trying other selectors
-        if (prices.length >= 3) break;
-      } catch (_) {}
-    }
-
-    // Fallback: JSON-LD structured data
-    if (prices.length === 0) {
-      prices.push(...extractFromJsonLD(doc));
-    }
-
-    // Fallback: Next.js SSR data embedded in __NEXT_DATA__
-    if (prices.length === 0) {
-      prices.push(...extractFromNextData(doc));
-    }
-
-    return prices;
-  }
-
-  /** Pull prices from Next.js __NEXT_DATA__ SSR payload */
-  function extractFromNextData (doc) {
-    const prices = [];
-    const script = doc.getElementById('__NEXT_DATA__');
-    if (!script) return prices;
-    try {
-      const root = JSON.parse(script.textContent);
-      collectPricesFromObject(root, prices, 0);
-    } catch (_) {}
-    return prices;
-  }
-
-  /**
-   * Recursively walk a JSON object looking for keys that are price-like
-   * (e.g. "price", "amount", "rate", "lowestPrice").
-   */
-  function collectPricesFromObject (obj, prices, depth) {
-    if (depth > 12 || prices.length > 60 || obj === null) return;
-    if (typeof obj === 'object') {
-      for (const [key, val] of Object.entries(obj)) {
-        if (/price|amount|rate|lowestPrice|minPrice/i.test(key)) {
-          const n = parseFloat(val);
-          if (n > 1 && n < 999_999) prices.push(n);
-        }
-        if (typeof val === 'object') collectPricesFromObject(val, prices, depth + 1);
-      }
-    }
-  }
-
-  /** Pull prices out of schema.org JSON-LD blocks */
-  function extractFromJsonLD (doc) {
-    const prices = [];
-    doc.querySelectorAll('script[type="application/ld+json"]').forEach(el => {
-      try {
-        const data  = JSON.parse(el.textContent);
-        const items = Array.isArray(data) ? data : [data];
-        items.forEach(item => {
-          const offers = item.offers
-            ? (Array.isArray(item.offers) ? item.offers : [item.offers])
-            : [];
-          offers.forEach(o => {
-            const p = parseFloat(o.price || o.lowPrice || 0);
-            if (p > 0) prices.push(p);
-          });
-        });
-      } catch (_) {}
-    });
-    return prices;
-  }
-
-  /** Strip non-numeric characters and return a float price, or 0 */
-  function parsePrice (text) {
-    if (!text) return 0;
-    // Handle "1,234.56" and "1.234,56" formatting
-    const cleaned = text.replace(/\s/g, '');
-    const match   = cleaned.match(/[\d,.]+/);
-    if (!match) return 0;
-    // Remove thousands separators (comma before 3+ digits) then normalise decimal
-    const normalised = match[0].replace(/,(?=\d{3})/g, '').replace(',', '.');
-    const n = parseFloat(normalised);
-    return (n > 1 && n < 999_999) ? n : 0;
-  }
-
-  const CURRENCY_MAP = {
-    '€': { symbol: '€', code: 'EUR' },
-    '£': { symbol: '£', code: 'GBP' },
-    '¥': { symbol: '¥', code: 'JPY' },
-    '₹': { symbol: '₹', code: 'INR' },
-    '₩': { symbol: '₩', code: 'KRW' },
-    '฿': { symbol: '฿', code: 'THB' },
-    '$': { symbol: '$', code: 'USD' },
-  };
-
-  function detectCurrency (text) {
-    if (!text) return;
-    for (const [sym, info] of Object.entries(CURRENCY_MAP)) {
-      if (text.includes(sym)) { currency = info; return; }
-    }
-    const code = text.match(/\b([A-Z]{3})\b/);
-    if (code) currency = { symbol: code[1] + '\u202f', code: code[1] };
-  }
-
-  // ─── Statistics ─────────────────────────────────────────────────────────────
-
-  function calcStats (prices) {
-    const sorted = [...prices].sort((a, b) => a - b);
-    const sum    = sorted.reduce((acc, v) => acc + v, 0);
-    return {
-      min:   sorted[0],
-      max:   sorted[sorted.length - 1],
-      avg:   Math.round(sum / sorted.length),
-      count: sorted.length,
-    };
-  }
-
   // ─── Calendar detection ──────────────────────────────────────────────────────
 
-  const CALENDAR_SELECTOR =
-    '[data-testid*="calendar"], [data-testid*="datepicker"], ' +
-    '[class*="bui-calendar"], [class*="datepicker"], [class*="calendar__"]';
-
   function watchForCalendar () {
     // Check elements already in the DOM
-    document.querySelectorAll(CALENDAR_SELECTOR).forEach(tryInject);
+    document.querySelectorAll(selector('calendar')).forEach(tryInject);
 
     // Watch for the calendar popup to appear dynamically
     new MutationObserver(mutations => {
@@ -339,7 +329,7 @@
         for (const node of addedNodes) {
           if (node.nodeType !== Node.ELEMENT_NODE) continue;
           tryInject(node);
-          node.querySelectorAll(CALENDAR_SELECTOR).forEach(tryInject);
+          node.querySelectorAll(selector('calendar')).forEach(tryInject);
         }
       }
     }).observe(document.body, { childList: true, subtree: true });
@@ -367,10 +357,23 @@
 
   function activateCalendar (calEl) {
     refreshBadges(calEl);
+    renderFetchStateBanner(calEl);
+    renderCalendarToolbar(calEl);
 
     // Detect when the user picks a check-in date so we can show prices for
     // the next 3 days (as potential checkout dates) immediately.
     calEl.addEventListener('click', e => {
+      // Following the tooltip's hotel link must not pick the date
+      if (e.target.closest('.bpc-tt-hotel')) { e.stopPropagation(); return; }
+
+      const watchBtn = e.target.closest('.bpc-tt-watch');
+      if (watchBtn) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleDateWatch(watchBtn);
+        return;
+      }
+
       const cell = e.target.closest(
         '[data-testid^="calendar-day-"], [data-date], [data-day], td[role="gridcell"]'
       );
@@ -380,6 +383,26 @@
       handleDateClick(date);
     });
 
+    // Keyboard users get the tooltip of the focused day, and can tab to its
+    // link and buttons (screen readers hear the cell's description instead
+    // of the badge's figures)
+    calEl.addEventListener('focusin', e => {
+      calEl.querySelectorAll('.bpc-focused').forEach(b => b.classList.remove('bpc-focused'));
+      const cell = e.target.closest('[data-testid^="calendar-day-"], [data-date], td, [role="gridcell"]');
+      cell?.querySelector(`.${BADGE_CLASS}`)?.classList.add('bpc-focused');
+    });
+    calEl.addEventListener('focusout', e => {
+      if (calEl.contains(e.relatedTarget)) return;
+      calEl.querySelectorAll('.bpc-focused').forEach(b => b.classList.remove('bpc-focused'));
+    });
+
+    // Announces when the visible month's prices have loaded
+    const live = document.createElement('div');
+    live.className = 'bpc-sr-only bpc-live';
+    live.setAttribute('role', 'status');
+    live.setAttribute('aria-live', 'polite');
+    calEl.prepend(live);
+
     // Re-run whenever the calendar re-renders (e.g. month navigation)
     new MutationObserver(() => refreshBadges(calEl))
       .observe(calEl, { childList: true, subtree: true });
@@ -393,14 +416,48 @@
     return input ? input.value.trim() : '';
   }
 
+  /**
+   * The party set in the search box's occupancy widget →
+   * { adults, children, ages, rooms }, with each child's age from its age
+   * select. Falls back to the page URL, then to DEFAULT_PARTY.
+   */
+  function readOccupancyWidget () {
+    const field = name => document.querySelector(`input[name="${name}"], input#${name}`)?.value || '';
+    const ages  = Array.from(document.querySelectorAll('select[name="age"]'))
+      .map(select => select.value)
+      .filter(age => /^\d{1,2}$/.test(age))   // "-1" = not chosen yet
+      .sort((a, b) => a - b);
+    let adults   = field('group_adults');
+    let children = field('group_children');
+    let rooms    = field('no_rooms');
+
+    if (!adults) {
+      // Collapsed widget: only its summary ("2 adults · 1 child · 1 room") is rendered
+      const summary = document.querySelector('[data-testid="occupancy-config"]')?.textContent || '';
+      adults   = summary.match(/(\d+)\s*adult/i)?.[1] || '';
+      children = summary.match(/(\d+)\s*child/i)?.[1] || children;
+      rooms    = summary.match(/(\d+)\s*room/i)?.[1]  || rooms;
+    }
+    if (!adults) return readOccupancy(new URL(location.href).searchParams) || { ...DEFAULT_PARTY };
+
+    return {
+      adults,
+      children: children || String(ages.length),
+      ages:     ages.join(','),
+      rooms:    rooms || '1',
+    };
+  }
+
   /**
    * Called when the user clicks a calendar date cell.
    *
    * First click  → treat as checkin selection.
-   *   • If we have a full searchParams context: queue real price fetches for
-   *     the next 3 checkout dates.
-   *   • If a destination is typed but no searchParams yet: inject random
-   *     prices for the next 3 dates immediately so the user sees something.
+   *   • If we have a full searchParams context: ask the worker for the next
+   *     10 checkout dates.
+   *   • If a destination is typed but no searchParams yet: the same, for a
+   *     context built from the search box (requestHomepagePrices).
+   *   Either way the stays from a previously selected check-in are dropped
+   *   from the worker's queue.
    * Second click → treat as checkout selection; reset selectedCheckin so all
    *                badges revert to their normal (per-night) view.
    * Clicking the same date again or an earlier date → treat as a new checkin.
@@ -412,35 +469,9 @@
 
       if (searchParams) {
         // Real price fetches (search-results page)
-        for (let i = 1; i <= 10; i++) {
-          const co  = addDays(selectedCheckin, i);
-          const key = cacheKey(selectedCheckin, co);
-          if (!priceCache.has(key) && !fetchQueue.find(j => j.key === key)) {
-            fetchQueue.push({ key, checkin: selectedCheckin, checkout: co });
-          }
-        }
-        drain();
-      } else if (getDestinationValue()) {
-        // Destination typed but no full search context yet.
-        // Mark all 3 days as loading immediately, then fire real fetches for each.
-        const checkinSnap = selectedCheckin;   // capture before any re-click
-        for (let i = 1; i <= 10; i++) {
-          const co  = addDays(checkinSnap, i);
-          const key = cacheKey(checkinSnap, co);
-          if (!priceCache.has(key)) priceCache.set(key, { loading: true });
-        }
-
-        // Fire real fetches for all 3 days; update each badge as it resolves.
-        for (let i = 1; i <= 10; i++) {
-          const co  = addDays(checkinSnap, i);
-          const key = cacheKey(checkinSnap, co);
-          fetchHomepagePrice(checkinSnap, co).then(stats => {
-            if (selectedCheckin === checkinSnap) {
-              priceCache.set(key, stats);
-              updateAllBadges();
-            }
-          });
-        }
+        requestPrices(checkinStays(selectedCheckin), { checkin: true });
+      } else if (getDestinationValue() && !fetchState.paused) {
+        requestHomepagePrices(selectedCheckin);
       }
     } else {
       // Second click on a later date → user picked checkout; reset and close picker
@@ -460,20 +491,9 @@
     queueFetchesForCells(cells);
   }
 
-  /** Try several selector strategies to find the clickable date cells */
+  /** Try the selector pack's strategies in turn to find the clickable date cells */
   function getDateCells (root) {
-    const strategies = [
-      // Modern Booking.com: data-testid="calendar-day-YYYY-MM-DD"
-      '[data-testid^="calendar-day-"]',
-      'td[data-date]',
-      '[data-date]',
-      '[data-day]',
-      'td[aria-disabled="false"]',
-      'td[role="gridcell"]:not([aria-disabled="true"])',
-      'td.bui-calendar__date:not(.bui-calendar__date--disabled)',
-      '[class*="CalendarDay"]:not([class*="blocked"]):not([class*="outside"])',
-    ];
-    for (const sel of strategies) {
+    for (const sel of selector('dateCells')) {
       try {
         const cells = Array.from(root.querySelectorAll(sel))
           .filter(el => !el.classList.contains(BADGE_CLASS));
@@ -567,6 +587,14 @@
     badge.dataset.date = date;
     cell.appendChild(badge);
 
+    const desc = document.createElement('span');
+    desc.className = 'bpc-sr-only';
+    desc.id = `bpc-desc-${++descriptionCount}`;
+    cell.appendChild(desc);
+    badgeDescriptions.set(badge, desc);
+    const describedBy = cell.getAttribute('aria-describedby');
+    cell.setAttribute('aria-describedby', describedBy ? `${describedBy} ${desc.id}` : desc.id);
+
     renderBadge(badge);
   }
 
@@ -574,15 +602,15 @@
    * Returns the { checkin, checkout } dates to use for a badge, or null if
    * this badge has nothing to display.
    *
-   * • When the user has selected a checkin date and this badge is for one of
-   *   the next 3 days, treat it as a potential checkout date.
+   * • When the user has selected a checkin date and this badge is within
+   *   checkinStayNights days after it, treat it as a potential checkout date.
    * • Otherwise fall back to the full-search-context mode (needs searchParams).
    */
   function getBadgeDates (badge) {
     const date = badge.dataset.date;
     if (selectedCheckin) {
       const diff = daysBetween(selectedCheckin, date);
-      if (diff >= 1 && diff <= 10) {
+      if (diff >= 1 && diff <= checkinStayNights) {
         return { checkin: selectedCheckin, checkout: date };
       }
     }
@@ -604,7 +632,7 @@
         clearTimeout(pending.timer);
         badgeCloseTransitions.delete(badge);
       }
-      badge.innerHTML = html;
+      setBadgeMarkup(badge, html);
       badge.classList.remove('bpc-loaded');
       return;
     }
@@ -628,23 +656,42 @@
         const latest = badgeCloseTransitions.get(badge);
         if (!latest) return;
         badgeCloseTransitions.delete(badge);
-        badge.innerHTML = latest.html;
+        setBadgeMarkup(badge, latest.html);
         badge.classList.toggle('bpc-loaded', latest.isLoaded);
       }, 170);
       badgeCloseTransitions.set(badge, state);
       return;
     }
 
-    badge.innerHTML = html;
+    setBadgeMarkup(badge, html);
     badge.classList.toggle('bpc-loaded', Boolean(isLoaded));
   }
 
+  /**
+   * Replace a badge's markup, keeping keyboard focus on its control. Screen
+   * readers hear the cell's description rather than the badge's figures, so
+   * all but the tooltip's link and buttons is hidden from them.
+   */
+  function setBadgeMarkup (badge, html) {
+    replaceMarkup(badge, html);
+    hideFromScreenReaders(badge);
+  }
+
+  function hideFromScreenReaders (el) {
+    const controls = 'a, button, input';
+    [...el.children].forEach(child => {
+      if (child.matches(controls)) return;
+      if (child.querySelector(controls)) hideFromScreenReaders(child);
+      else child.setAttribute('aria-hidden', 'true');
+    });
+  }
+
   function renderBadge (badge) {
     const date = badge.dataset.date;
     if (!date) { setBadgeContent(badge, '', false); return; }
 
     const dates = getBadgeDates(badge);
-    if (!dates) { setBadgeContent(badge, '', false); return; }
+    if (!dates) { setBadgeContent(badge, '', false); describeBadge(badge, ''); return; }
 
     const { checkin, checkout } = dates;
     const key   = cacheKey(checkin, checkout);
@@ -654,48 +701,334 @@
       // Not yet fetched – only show a loader when we're doing real fetches
       if (searchParams) {
         setBadgeContent(badge, '<div class="bpc-loading"></div>', false);
+        describeBadge(badge, 'Loading hotel prices');
       } else {
         setBadgeContent(badge, '', false);
+        describeBadge(badge, '');
       }
     } else if (stats && stats.loading) {
       // Homepage fetch in progress – show the progress bar
       setBadgeContent(badge, '<div class="bpc-loading"></div>', false);
+      describeBadge(badge, 'Loading hotel prices');
+    } else if (!stats && soldOutKeys.has(key)) {
+      // The hotel (on its own page) has no rooms left for these dates
+      setBadgeContent(badge, '<div class="bpc-soldout">Sold out</div>', false);
+      describeBadge(badge, 'Sold out');
     } else if (!stats) {
       // Fetched but no prices found → hide gracefully
       setBadgeContent(badge, '', false);
+      describeBadge(badge, 'No hotel prices found');
     } else {
-      const s = currency.symbol;
+      const cur = stats.currency || currency;
       const nights = daysBetween(checkin, checkout);
       const nightLabel = nights === 1 ? '1 night' : `${nights} nights`;
       const titleSuffix = (checkin !== date) ? ` · ${nightLabel}` : '';
+      const pagesLabel  = stats.pages > 1 ? ` · ${stats.pages} pages` : '';
+      const shown = displayStats(stats, checkin, checkout);
+      const countLabel = searchParams?.property
+        ? `Rooms (${stats.count} option${stats.count === 1 ? '' : 's'})`
+        : `Hotels (${stats.count} found${pagesLabel})`;
+      const delta = priceDelta(key, shown.min);
       setBadgeContent(badge, `
-        <div class="bpc-min">${s}${fmt(stats.min)}</div>
+        ${delta ? renderDeltaChip(delta, shown.min, cur) : `<div class="bpc-min">${money(shown.min, cur, true)}</div>`}
         <div class="bpc-tooltip">
-          <div class="bpc-tt-title">Hotels (${stats.count} found)${titleSuffix}</div>
+          <div class="bpc-tt-title">${countLabel}${titleSuffix}</div>
+          <div class="bpc-tt-unit">${displayUnitLabel(nightLabel)}</div>
+          ${delta ? renderDeltaRow(delta, cur) : ''}
           <div class="bpc-tt-row">
             <span class="bpc-tt-label">Min</span>
-            <span class="bpc-tt-val">${s}${fmt(stats.min)}</span>
-          </div>
-          <div class="bpc-tt-row">
-            <span class="bpc-tt-label">Avg</span>
-            <span class="bpc-tt-val">${s}${fmt(stats.avg)}</span>
+            <span class="bpc-tt-val">${money(shown.min, cur)}</span>
           </div>
+          ${renderSpread(shown, cur)}
           <div class="bpc-tt-row">
             <span class="bpc-tt-label">Max</span>
-            <span class="bpc-tt-val">${s}${fmt(stats.max)}</span>
+            <span class="bpc-tt-val">${money(shown.max, cur)}</span>
           </div>
+          ${renderHistogram(stats)}
+          ${renderCheapest(stats.cheapest, checkin, checkout)}
+          ${renderTrend(key)}
+          ${renderWatchToggle(checkin, checkout)}
         </div>`, true);
+      describeBadge(badge, [
+        `${displayUnitLabel(nightLabel)}${checkin !== date ? ` from ${formatDay(checkin)}` : ''}:`,
+        `lowest ${money(shown.min, cur)},`,
+        delta ? `${describeDelta(delta, cur)},` : '',
+        `average ${money(trimmedMean && shown.trimmedAvg !== undefined ? shown.trimmedAvg : shown.avg, cur)},`,
+        `highest ${money(shown.max, cur)},`,
+        searchParams?.property
+          ? `${stats.count} room option${stats.count === 1 ? '' : 's'}`
+          : `${stats.count} hotel${stats.count === 1 ? '' : 's'}`,
+      ].filter(Boolean).join(' '));
+    }
+  }
+
+  /** Set the text screen readers hear after a badge's date (only on change) */
+  function describeBadge (badge, text) {
+    const desc = badgeDescriptions.get(badge);
+    if (desc && desc.textContent !== text) desc.textContent = text;
+  }
+
+  /**
+   * Once every badge of a calendar has its price (after some were still
+   * loading), say so in the calendar's live region with the cheapest day.
+   */
+  function announceLoadedPrices () {
+    document.querySelectorAll(`[${INJECTED_ATTR}]`).forEach(calEl => {
+      const badges  = [...calEl.querySelectorAll(`.${BADGE_CLASS}`)].filter(getBadgeDates);
+      const pending = badges.filter(b => {
+        const { checkin, checkout } = getBadgeDates(b);
+        const stats = priceCache.get(cacheKey(checkin, checkout));
+        return stats === undefined ? Boolean(searchParams) : Boolean(stats?.loading);
+      }).length;
+      const before = pendingBadges.get(calEl);
+      pendingBadges.set(calEl, pending);
+      if (!before || pending > 0) return;
+
+      const months = [...new Set(badges.map(b => new Date(b.dataset.date + 'T00:00:00Z')
+        .toLocaleDateString('en-GB', { month: 'long', timeZone: 'UTC' })))];
+      const monthText = months.length > 1 ? `${months.slice(0, -1).join(', ')} and ${months.at(-1)}` : months[0];
+      const priced = badges
+        .map(b => ({ date: b.dataset.date, min: badgeMin(b) }))
+        .filter(p => p.min !== undefined)
+        .sort((a, b) => a.min - b.min);
+
+      const live = calEl.querySelector('.bpc-live');
+      if (!live) return;
+      live.textContent = priced.length
+        ? `Prices loaded for ${priced.length} days in ${monthText}. ` +
+          `Cheapest: ${money(priced[0].min, currency)} on ${formatDay(priced[0].date)}.`
+        : `No hotel prices found for ${monthText}.`;
+    });
+  }
+
+  // ─── Delta badges ───────────────────────────────────────────────────────────
+
+  /**
+   * In the 'delta' badge mode, how a date pair's lowest price (display-mode
+   * units) compares with the searched dates' → { diff, pct, baseline } –
+   * `baseline` for the searched dates themselves. Null while badges show
+   * plain prices: the other mode, no searched dates (homepage), or their
+   * price not in yet.
+   */
+  function priceDelta (key, min) {
+    if (badgeMode !== 'delta' || !searchParams) return null;
+    const ref = searchedMin();
+    if (!ref) return null;
+    return {
+      diff:     min - ref,
+      pct:      (min - ref) / ref * 100,
+      baseline: key === cacheKey(searchParams.checkin, searchParams.checkout),
+    };
+  }
+
+  /** Badge chip: "−€42" over "−17%", or the searched dates' own price marked as such */
+  function renderDeltaChip ({ diff, pct, baseline }, min, cur) {
+    if (baseline) {
+      return `
+        <div class="bpc-min bpc-min--baseline">${money(min, cur, true)}</div>
+        <div class="bpc-delta-pct">your dates</div>`;
+    }
+    return `
+      <div class="bpc-min">${signedMoney(diff, cur, true)}</div>
+      <div class="bpc-delta-pct">${signedPercent(pct)}</div>`;
+  }
+
+  function renderDeltaRow ({ diff, pct, baseline }, cur) {
+    if (baseline) {
+      return `
+        <div class="bpc-tt-row bpc-tt-delta">
+          <span class="bpc-tt-label">Your searched dates</span>
+        </div>`;
+    }
+    return `
+      <div class="bpc-tt-row bpc-tt-delta">
+        <span class="bpc-tt-label">vs. your dates</span>
+        <span class="bpc-tt-val">${signedMoney(diff, cur)} (${signedPercent(pct)})</span>
+      </div>`;
+  }
+
+  function describeDelta ({ diff, pct, baseline }, cur) {
+    if (baseline) return 'your searched dates';
+    if (Math.round(pct) === 0 && Math.abs(diff) < 1) return 'the same as your searched dates';
+    const more = diff > 0 ? 'more' : 'less';
+    return `${money(Math.abs(diff), cur)} ${more} than your searched dates (${Math.abs(Math.round(pct))}% ${more})`;
+  }
+
+  /** "+€18" / "−€42" / "±€0" */
+  function signedMoney (n, cur, compact = false) {
+    const sign = Math.abs(n) < 0.5 ? '±' : n > 0 ? '+' : '−';
+    return sign + money(Math.abs(n), cur, compact);
+  }
+
+  /** "+8%" / "−17%" / "±0%" */
+  function signedPercent (pct) {
+    const rounded = Math.round(pct);
+    return `${rounded === 0 ? '±' : rounded > 0 ? '+' : '−'}${Math.abs(rounded)}%`;
+  }
+
+  // ─── Display mode ───────────────────────────────────────────────────────────
+
+  /** Guests the prices are for */
+  function guestCount () {
+    const party = searchParams || homepageContext || DEFAULT_PARTY;
+    return Number(party.adults) + Number(party.children) || 1;
+  }
+
+  /** What a date pair's total stay price is divided by in the current display mode */
+  function priceDivisor (checkin, checkout) {
+    if (displayMode === 'total') return 1;
+    const nights = daysBetween(checkin, checkout);
+    return displayMode === 'person' ? nights * guestCount() : nights;
+  }
+
+  /**
+   * Stats for a date pair as the display mode shows them. The cache always
+   * holds whole-stay totals; dividing by a constant keeps min / avg / max.
+   */
+  function displayStats (stats, checkin, checkout) {
+    const d = priceDivisor(checkin, checkout);
+    const shown = { ...stats };
+    ['min', 'max', 'avg', 'trimmedAvg', 'median', 'p25', 'p75'].forEach(f => {
+      if (stats[f] !== undefined) shown[f] = stats[f] / d;
+    });
+    return shown;
+  }
+
+  /** Tooltip caption naming what the figures are, e.g. "Per night" */
+  function displayUnitLabel (nightLabel) {
+    if (displayMode === 'night') return 'Per night';
+    if (displayMode === 'person') {
+      const guests = guestCount();
+      return `Per person per night · ${guests} guest${guests === 1 ? '' : 's'}`;
     }
+    return `Total for ${nightLabel}`;
+  }
+
+  /**
+   * Tooltip rows between Min and Max: median with the middle half (P25–P75)
+   * and the average. Stats cached before these existed only have the mean.
+   */
+  function renderSpread (shown, cur) {
+    const useTrimmed = trimmedMean && shown.trimmedAvg !== undefined;
+    const avgRow = `
+      <div class="bpc-tt-row">
+        <span class="bpc-tt-label">${useTrimmed ? 'Avg (trimmed)' : 'Avg'}</span>
+        <span class="bpc-tt-val">${money(useTrimmed ? shown.trimmedAvg : shown.avg, cur)}</span>
+      </div>`;
+    if (shown.median === undefined) return avgRow;
+    return `
+      <div class="bpc-tt-row">
+        <span class="bpc-tt-label">Median</span>
+        <span class="bpc-tt-val">${money(shown.median, cur)}</span>
+      </div>
+      <div class="bpc-tt-row">
+        <span class="bpc-tt-label">Middle half</span>
+        <span class="bpc-tt-val">${money(shown.p25, cur)} – ${money(shown.p75, cur)}</span>
+      </div>
+      ${avgRow}`;
+  }
+
+  /**
+   * Tiny bar chart of how the prices spread between min and max, plus a
+   * note when outliers were left out of the figures.
+   */
+  function renderHistogram (stats) {
+    if (!stats.histogram) return '';
+    const bins    = stats.histogram;
+    const peak    = Math.max(...bins) || 1;
+    const width   = 120;
+    const height  = 24;
+    const barW    = width / bins.length;
+    const bars    = bins.map((n, i) => {
+      const h = n ? Math.max(2, n / peak * height) : 0;
+      return `<rect x="${(i * barW + 1).toFixed(1)}" y="${(height - h).toFixed(1)}"
+                    width="${(barW - 2).toFixed(1)}" height="${h.toFixed(1)}" rx="1"/>`;
+    }).join('');
+    const note = stats.outliers
+      ? `<div class="bpc-tt-outliers">${stats.outliers} outlier${stats.outliers === 1 ? '' : 's'} ignored</div>`
+      : '';
+    return `
+      <div class="bpc-tt-hist">
+        <svg class="bpc-histogram" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+          ${bars}
+        </svg>
+        ${note}
+      </div>`;
+  }
+
+  /**
+   * Tooltip link to the cheapest property for the date pair, opened with the
+   * same dates and party in a new tab.
+   */
+  function renderCheapest (cheapest, checkin, checkout) {
+    if (!cheapest?.url) return '';
+    const meta = [
+      cheapest.stars ? '★'.repeat(cheapest.stars) : '',
+      cheapest.score ? cheapest.score.toFixed(1) : '',
+    ].filter(Boolean).join(' · ');
+    const href = buildPropertyUrl(cheapest.url, searchParams || homepageContext || DEFAULT_PARTY, checkin, checkout);
+    return `
+      <a class="bpc-tt-hotel" data-bpc-focus="cheapest" href="${esc(href)}" target="_blank" rel="noopener">
+        <span class="bpc-tt-label">Cheapest</span>
+        <span class="bpc-tt-hotel-name">${esc(cheapest.name)}</span>
+        ${meta ? `<span class="bpc-tt-hotel-meta">${meta}</span>` : ''}
+      </a>`;
+  }
+
+  /**
+   * Tooltip footer with a sparkline of the minimum price over time and the
+   * change between the first and the latest observation, e.g.
+   * "↓ 12% since 3 days ago". Empty until a date pair was seen twice.
+   */
+  function renderTrend (key) {
+    const points = priceHistory.get(key);
+    if (!points || points.length < 2) return '';
+
+    const [firstAt, firstMin] = points[0];
+    const latestMin = points[points.length - 1][1];
+    const change    = Math.round((latestMin - firstMin) / firstMin * 100);
+    const since     = timeAgo(firstAt);
+
+    let text = `No change since ${since}`;
+    let cls  = '';
+    if (change < 0) { text = `↓ ${-change}% since ${since}`; cls = ' bpc-tt-trend--down'; }
+    if (change > 0) { text = `↑ ${change}% since ${since}`;  cls = ' bpc-tt-trend--up'; }
+
+    return `
+      <div class="bpc-tt-trend${cls}">
+        ${sparkline(points.map(p => p[1]))}
+        <span class="bpc-tt-trend-text">${text}</span>
+      </div>`;
+  }
+
+  /** Tiny inline SVG line chart for a series of values */
+  function sparkline (values, width = 96, height = 22) {
+    const lo   = Math.min(...values);
+    const span = Math.max(...values) - lo || 1;
+    const step = width / (values.length - 1);
+    const pts  = values.map((v, i) => {
+      const x = (i * step).toFixed(1);
+      const y = (height - 2 - (v - lo) / span * (height - 4)).toFixed(1);
+      return `${x},${y}`;
+    }).join(' ');
+    return `
+      <svg class="bpc-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+        <polyline points="${pts}" fill="none" stroke="currentColor" stroke-width="1.5"
+                  stroke-linejoin="round" stroke-linecap="round"/>
+      </svg>`;
   }
 
   function updateAllBadges () {
     document.querySelectorAll(`.${BADGE_CLASS}`).forEach(renderBadge);
     applyColorCoding();
+    announceLoadedPrices();
   }
 
   /**
-   * Color-code loaded badges green/yellow/orange based on their relative
-   * position in the distribution of minimum prices across all loaded dates.
+   * Color-code loaded badges green/yellow/orange against the thresholds of
+   * the chosen strategy (colorBands), compared in the current display mode
+   * (so stays of different lengths are comparable per night), and show those
+   * thresholds in a legend above each calendar.
    * Works on both search-results pages (searchParams set) and the homepage
    * (selectedCheckin set after a date click).
    */
@@ -704,32 +1037,22 @@
     if (!searchParams && !selectedCheckin) return;
 
     const loaded = Array.from(document.querySelectorAll(`.${BADGE_CLASS}.bpc-loaded`));
-    if (loaded.length < 3) return;
-
     const mins = loaded
-      .map(b => {
-        const dates = getBadgeDates(b);
-        if (!dates) return Infinity;
-        return priceCache.get(cacheKey(dates.checkin, dates.checkout))?.min ?? Infinity;
-      })
+      .map(b => badgeMin(b) ?? Infinity)
       .filter(v => isFinite(v))
       .sort((a, b) => a - b);
 
-    if (mins.length < 3) return;
-
-    const lo = mins[Math.floor(mins.length * 0.33)];
-    const hi = mins[Math.floor(mins.length * 0.66)];
+    const bands = colorBands(mins);
+    renderColorLegend(bands);
 
     loaded.forEach(b => {
-      const dates = getBadgeDates(b);
-      if (!dates) return;
-      const min = priceCache.get(cacheKey(dates.checkin, dates.checkout))?.min;
-      if (min === undefined) return;
-
+      const min  = badgeMin(b);
       const cell = b.parentElement;
       b.classList.remove('bpc-green', 'bpc-yellow', 'bpc-orange', 'bpc-red');
       cell && cell.classList.remove('bpc-cell-green', 'bpc-cell-yellow', 'bpc-cell-orange');
+      if (min === undefined || !bands.lo) return;
 
+      const { lo, hi } = bands;
       if (min <= lo) {
         b.classList.add('bpc-green');
         cell && cell.classList.add('bpc-cell-green');
@@ -743,145 +1066,482 @@
     });
   }
 
-  // ─── Homepage real-price fetch (no full searchParams context) ───────────────
+  /**
+   * Green / orange thresholds (display-mode units) for the loaded minimum
+   * prices → { lo, hi, note }. lo / hi are missing while the strategy can't
+   * tell yet; `note` explains the bands in the legend.
+   *   quantile – cheapest and dearest third of the visible days
+   *   budget   – the user's own price bands
+   *   relative – ±N% around the currently searched dates' price
+   */
+  function colorBands (mins) {
+    const unit = displayMode === 'total' ? '' : displayMode === 'night' ? ' per night' : ' per person per night';
+
+    if (coloring.strategy === 'budget') {
+      const { low, high } = coloring.budget || {};
+      if (!low || !high) return { note: 'Set your budget bands in the extension popup' };
+      return { lo: low, hi: high, note: `Your budget${unit}` };
+    }
+
+    if (coloring.strategy === 'relative') {
+      const ref = searchParams && searchedMin();
+      if (!ref) return { note: 'Waiting for the price of your searched dates' };
+      const pct = coloring.relative / 100;
+      return {
+        lo:   ref * (1 - pct),
+        hi:   ref * (1 + pct),
+        note: `${coloring.relative}% cheaper / dearer than your dates (${money(ref, currency)}${unit})`,
+      };
+    }
+
+    if (mins.length < 3) return { note: 'Cheapest and dearest third of the visible days' };
+    return {
+      lo:   mins[Math.floor(mins.length * 0.33)],
+      hi:   mins[Math.floor(mins.length * 0.66)],
+      note: `Cheapest and dearest third of the visible days${unit}`,
+    };
+  }
+
+  /** Minimum price of the searched dates in the display mode, or null */
+  function searchedMin () {
+    const { checkin, checkout } = searchParams;
+    const stats = priceCache.get(cacheKey(checkin, checkout));
+    return stats?.min ? stats.min / priceDivisor(checkin, checkout) : null;
+  }
+
+  /** Legend above each calendar with the current colour thresholds */
+  function renderColorLegend (bands) {
+    const html = bands.lo
+      ? `
+        <span class="bpc-legend-chip bpc-legend-chip--green">≤ ${money(bands.lo, currency, true)}</span>
+        <span class="bpc-legend-chip bpc-legend-chip--yellow">between</span>
+        <span class="bpc-legend-chip bpc-legend-chip--orange">≥ ${money(bands.hi, currency, true)}</span>
+        <span class="bpc-legend-note">${esc(bands.note)}</span>`
+      : `<span class="bpc-legend-note">${esc(bands.note)}</span>`;
+
+    document.querySelectorAll(`[${INJECTED_ATTR}]`).forEach(calEl => {
+      let legend = calEl.querySelector('.bpc-cal-legend');
+      if (!legend) {
+        legend = document.createElement('div');
+        legend.className = 'bpc-cal-legend';
+        calEl.prepend(legend);
+      }
+      // Only touch the DOM on change – the calendar's observer watches it
+      if (legendHtml.get(legend) !== html) {
+        legendHtml.set(legend, html);
+        legend.innerHTML = html;
+      }
+    });
+  }
+
+  /** Minimum price of a badge's date pair in the display mode, or undefined */
+  function badgeMin (badge) {
+    const dates = getBadgeDates(badge);
+    if (!dates) return undefined;
+    const stats = priceCache.get(cacheKey(dates.checkin, dates.checkout));
+    if (!stats || stats.loading) return undefined;
+    return stats.min / priceDivisor(dates.checkin, dates.checkout);
+  }
+
+  // ─── Homepage prices (no full searchParams context) ─────────────────────────
 
   /**
-   * Build a search URL using only what's available on the homepage:
-   * the destination string from the search bar input, plus any hidden
-   * dest_id / dest_type inputs that booking.com populates after the user
-   * selects a suggestion from the autocomplete dropdown.
+   * Search context from what's available on the homepage: the destination
+   * string from the search bar input, plus any hidden dest_id / dest_type
+   * inputs that booking.com populates after the user selects a suggestion
+   * from the autocomplete dropdown, the party from the occupancy widget
+   * (readOccupancyWidget), and the filters, sort and currency of a search
+   * this page was reached from.
    */
-  function buildHomepageSearchUrl (checkin, checkout) {
-    const dest = getDestinationValue();
-    if (!dest) return null;
-
-    const u = new URL('/searchresults.html', 'https://www.booking.com');
-    const s = u.searchParams;
-
-    s.set('ss',  dest);
-    s.set('lang', 'en-us');
-    s.set('sb',   '1');
-    s.set('src_elem', 'sb');
-    s.set('src',  'index');
-
-    // booking.com adds hidden inputs after autocomplete selection
-    const destIdEl   = document.querySelector('input[name="dest_id"]');
-    const destTypeEl = document.querySelector('input[name="dest_type"]');
-    if (destIdEl?.value)   s.set('dest_id',   destIdEl.value);
-    if (destTypeEl?.value) s.set('dest_type', destTypeEl.value);
-
-    s.set('checkin',        checkin);
-    s.set('checkout',       checkout);
-    s.set('group_adults',   '2');
-    s.set('no_rooms',       '1');
-    s.set('group_children', '0');
-    if (sortByPrice) s.set('order', 'price');
-
-    return u.toString();
-  }
-
-  /** Fetch and return real price stats for a single date pair (homepage mode). */
-  async function fetchHomepagePrice (checkin, checkout) {
-    const url = buildHomepageSearchUrl(checkin, checkout);
-    if (!url) return null;
+  function homepageSearchContext () {
+    const { filters, order, selectedCurrency } = readFilters(new URL(location.href).searchParams);
+    return {
+      dest:     getDestinationValue(),
+      destId:   document.querySelector('input[name="dest_id"]')?.value   || '',
+      destType: document.querySelector('input[name="dest_type"]')?.value || '',
+      ...readOccupancyWidget(),
+      filters,
+      order:    order || (sortByPrice ? 'price' : ''),
+      selectedCurrency,
+    };
+  }
+
+  /**
+   * Homepage mode: have the worker fetch the stays from a check-in for the
+   * search box's current context (switching this tab's cache to it when the
+   * destination or party changed). Days show a loader until their price
+   * arrives; loaders of a check-in picked before are dropped with its fetches.
+   */
+  async function requestHomepagePrices (checkin) {
+    priceCache.forEach((stats, key) => { if (stats?.loading) priceCache.delete(key); });
+
+    const context = homepageSearchContext();
+    if (searchContextKey(context) !== cacheContextKey) {
+      homepageContext = context;
+      await subscribeToSearch();
+    }
+    if (selectedCheckin !== checkin) return;   // another date was picked meanwhile
+
+    const dates = checkinStays(checkin);
+    dates.forEach(([ci, co]) => {
+      const key = cacheKey(ci, co);
+      if (!priceCache.has(key)) priceCache.set(key, { loading: true });
+    });
+    requestPrices(dates, { checkin: true });
+    updateAllBadges();
+  }
+
+  // ─── Background price fetching ──────────────────────────────────────────────
+
+  /**
+   * Everything that identifies the current search for the background worker
+   * except the dates (see search.js). The page's own sort wins over the
+   * "Sort by lowest price" setting, which only fills in when there is none
+   * (a hotel page's rooms have no sort). On the homepage it's the context
+   * built from the search box.
+   */
+  function fetchContext () {
+    if (!searchParams) return { ...homepageContext };
+    if (searchParams.property) return { ...searchParams };
+    return { ...searchParams, order: searchParams.order || (sortByPrice ? 'price' : '') };
+  }
+
+  /**
+   * Ask the background worker for the current search context's cached prices
+   * and start receiving its updates. Switching context drops the entries of
+   * the previous one; the worker also forgets this tab's queued jobs.
+   */
+  async function subscribeToSearch () {
+    const params = fetchContext();
+    const contextKey = searchContextKey(params);
+    if (contextKey !== cacheContextKey) {
+      priceCache.clear();
+      priceHistory.clear();
+      soldOutKeys.clear();
+      cacheContextKey = contextKey;
+    }
+
+    let snapshot;
     try {
-      const res = await fetch(url, {
-        credentials: 'include',
-        headers: {
-          'Accept':          'text/html,application/xhtml+xml',
-          'Accept-Language': 'en-US,en;q=0.9',
-        },
-      });
-      if (!res.ok) return null;
-      const html   = await res.text();
-      const doc    = new DOMParser().parseFromString(html, 'text/html');
-      const prices = extractPricesFromDoc(doc);
-      return prices.length > 0 ? calcStats(prices) : null;
-    } catch (_) {
-      return null;
+      snapshot = await chrome.runtime.sendMessage({ type: 'bpc:subscribe', params });
+    } catch (err) {
+      console.warn('[BPC] Background worker unavailable:', err);
+      return;
+    }
+    if (!snapshot || snapshot.contextKey !== cacheContextKey) return;
+    setFetchState(snapshot.fetchState);
+
+    for (const [key, entry] of Object.entries(snapshot.entries)) {
+      if (priceCache.get(key)?.loading) continue;
+      priceCache.set(key, entry.stats);
+      if (entry.soldOut) soldOutKeys.add(key);
     }
+    for (const [key, points] of Object.entries(snapshot.history)) {
+      priceHistory.set(key, points);
+    }
+    console.debug('[BPC] Subscribed to', contextKey, Object.keys(snapshot.entries).length, 'cached prices');
+
+    updateAllBadges();
+    refreshPriceMatrix();
+    refreshWindowFinder();
+    document.querySelectorAll(`[${INJECTED_ATTR}]`).forEach(cal => {
+      renderCalendarToolbar(cal);
+      queueFetchesForCells(getDateCells(cal));
+    });
   }
 
-  // ─── Fetch queue ─────────────────────────────────────────────────────────────
+  /**
+   * Ask the worker to fetch [checkin, checkout] pairs. It skips pairs that are
+   * cached and fresh, and shares the work with other tabs on the same search.
+   * `checkin` pairs are the stays from the selected check-in: fetched after
+   * the visible months, and replacing those of an earlier check-in. `grid`
+   * pairs are the price grid's cells: fetched after both, and replacing those
+   * of the grid's earlier window. `low` pairs are a background scan, fetched
+   * slowly after everything else.
+   */
+  function requestPrices (dates, { low = false, checkin = false, grid = false } = {}) {
+    if (!dates.length) return;
+    chrome.runtime.sendMessage({ type: 'bpc:request', params: fetchContext(), dates, low, checkin, grid })
+      .catch(err => console.warn('[BPC] Background worker unavailable:', err));
+  }
+
+  /**
+   * Record prices scraped in this tab and share them with the worker (as the
+   * first result page – it may widen them with deeper pages). A hotel page
+   * without availability stores null stats with `soldOut`. `strategy` is the
+   * extraction strategy that found the prices, for the worker's diagnostics.
+   */
+  function storePrice (key, properties, stats, { soldOut = false, strategy = null } = {}) {
+    priceCache.set(key, stats);
+    if (soldOut) soldOutKeys.add(key);
+    chrome.runtime.sendMessage({ type: 'bpc:put', params: fetchContext(), key, properties, stats, soldOut, strategy })
+      .catch(err => console.warn('[BPC] Background worker unavailable:', err));
+  }
+
+  // Results pushed by the worker (our own fetches and other tabs' alike)
+  chrome.runtime.onMessage.addListener(msg => {
+    if (msg?.type === 'bpc:fetch-state') { setFetchState(msg.state); return; }
+    if (msg?.type !== 'bpc:price' || msg.contextKey !== cacheContextKey) return;
+    priceCache.set(msg.key, msg.stats);
+    priceHistory.set(msg.key, msg.history);
+    if (msg.soldOut) soldOutKeys.add(msg.key); else soldOutKeys.delete(msg.key);
+    updateAllBadges();
+    refreshPriceMatrix();
+    refreshWindowFinder();
+  });
+
+  function setFetchState (state) {
+    fetchState = state || { paused: false };
+    document.querySelectorAll(`[${INJECTED_ATTR}]`).forEach(renderFetchStateBanner);
+    refreshWindowFinder();
+  }
+
+  /**
+   * Show / remove the "paused" notice at the top of a calendar. Badges that
+   * are still loading keep their loader – they resume when fetching does.
+   */
+  function renderFetchStateBanner (calEl) {
+    let banner = calEl.querySelector('.bpc-paused-banner');
+    if (!fetchState.paused) { banner?.remove(); return; }
+    if (banner) return;
+
+    banner = document.createElement('div');
+    banner.className = 'bpc-paused-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `
+      <span class="bpc-paused-text">
+        <strong>Price fetching paused</strong> — Booking.com wants to check you're not a robot.
+        Solve the check in a tab, then resume.
+      </span>
+      ${fetchState.url
+        ? `<a class="bpc-paused-link" href="${esc(fetchState.url)}" target="_blank" rel="noopener">Open check ↗</a>`
+        : ''}
+      <button type="button" class="bpc-paused-resume">Resume</button>`;
+    banner.querySelector('.bpc-paused-resume').addEventListener('click', e => {
+      e.stopPropagation();
+      chrome.runtime.sendMessage({ type: 'bpc:resume' }).catch(() => {});
+    });
+    calEl.prepend(banner);
+  }
 
   function queueFetchesForCells (cells) {
     if (!searchParams) return;
+    const dates = [];
     cells.forEach(cell => {
       const date = getCellDate(cell);
-      if (!date) return;
+      if (date) dates.push([date, addDays(date, searchParams.nights)]);
+    });
+    requestPrices(dates);
 
-      const checkout = addDays(date, searchParams.nights);
-      const key      = cacheKey(date, checkout);
+    // If the user has selected a checkin date, ensure we have prices for its
+    // potential checkout dates (calendar may have re-rendered).
+    if (selectedCheckin) requestPrices(checkinStays(selectedCheckin), { checkin: true });
+  }
 
-      if (!priceCache.has(key) && !fetchQueue.find(i => i.key === key)) {
-        fetchQueue.push({ key, checkin: date, checkout });
-      }
-    });
+  /** The 1…checkinStayNights night stays from a check-in date, as [checkin, checkout] pairs */
+  function checkinStays (checkin) {
+    const dates = [];
+    for (let i = 1; i <= checkinStayNights; i++) dates.push([checkin, addDays(checkin, i)]);
+    return dates;
+  }
 
-    // If the user has selected a checkin date, ensure we have prices for the
-    // next 3 potential checkout dates (calendar may have re-rendered).
-    if (selectedCheckin) {
-      for (let i = 1; i <= 10; i++) {
-        const co  = addDays(selectedCheckin, i);
-        const key = cacheKey(selectedCheckin, co);
-        if (!priceCache.has(key) && !fetchQueue.find(j => j.key === key)) {
-          fetchQueue.push({ key, checkin: selectedCheckin, checkout: co });
-        }
-      }
-    }
+  // ─── Watchlist ──────────────────────────────────────────────────────────────
+
+  /**
+   * Copy of the background worker's watchlist (chrome.storage.local). The
+   * worker owns it: changes go through bpc:watch-add / bpc:watch-remove.
+   */
+  let watchlist = [];
+
+  chrome.storage.local.get({ watchlist: [] }, s => { watchlist = s.watchlist; });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.watchlist) return;
+    watchlist = changes.watchlist.newValue || [];
+    updateAllBadges();
+    renderCompareBar();
+  });
 
-    drain();
+  /** The watch on a date pair (kind 'dates') or hotel in the current search */
+  function findWatch (checkin, checkout, propertyId = null) {
+    if (!searchParams) return null;
+    const contextKey = searchContextKey(watchContext(propertyId));
+    return watchlist.find(w =>
+      w.kind === (propertyId ? 'hotel' : 'dates') &&
+      w.propertyId === (propertyId || undefined) &&
+      w.checkin === checkin && w.checkout === checkout &&
+      searchContextKey(w.params) === contextKey
+    ) || null;
   }
 
-  async function drain () {
-    while (fetchQueue.length > 0 && activeFetches < MAX_CONCURRENT) {
-      const item = fetchQueue.shift();
-      if (priceCache.has(item.key)) continue; // might have been populated already
+  /**
+   * Search context a watch re-checks: the current one – except for another
+   * hotel watched from a hotel page, whose prices only its own page has
+   */
+  function watchContext (propertyId = null) {
+    const params = fetchContext();
+    return params.property && propertyId && propertyId !== params.property
+      ? { ...params, property: propertyId }
+      : params;
+  }
 
-      activeFetches++;
-      doFetch(item).finally(() => {
-        activeFetches--;
-        if (fetchQueue.length > 0) setTimeout(drain, FETCH_DELAY_MS);
-      });
+  /**
+   * Tooltip button to start / stop watching a date pair's minimum price, or
+   * the target input once started
+   */
+  function renderWatchToggle (checkin, checkout) {
+    if (!searchParams) return '';   // re-checks need a full search context
+    if (watchDraft?.id === `dates:${checkin}/${checkout}`) return renderWatchTarget('watch', 'Notify me below (total)');
+    const w = findWatch(checkin, checkout);
+    if (w) {
+      const cur = w.currency || currency;
+      return `
+        <button type="button" class="bpc-tt-watch is-active" data-bpc-focus="watch" data-bpc-unwatch="${esc(w.id)}">
+          🔔 Watching below ${money(w.target, cur)} · Stop
+        </button>`;
+    }
+    return `
+      <button type="button" class="bpc-tt-watch" data-bpc-focus="watch" data-bpc-checkin="${checkin}" data-bpc-checkout="${checkout}">
+        🔔 Notify me when cheaper
+      </button>`;
+  }
 
-      // Stagger concurrent fetches slightly
-      if (fetchQueue.length > 0) await sleep(180);
+  function toggleDateWatch (btn) {
+    if (btn.dataset.bpcUnwatch) {
+      chrome.runtime.sendMessage({ type: 'bpc:watch-remove', id: btn.dataset.bpcUnwatch }).catch(() => {});
+      return;
     }
+    const { bpcCheckin: checkin, bpcCheckout: checkout } = btn.dataset;
+    const stats = priceCache.get(cacheKey(checkin, checkout));
+    if (!stats) return;
+
+    const cur   = stats.currency || currency;
+    const badge = btn.closest(`.${BADGE_CLASS}`);
+    askTarget({
+      id: `dates:${checkin}/${checkout}`, root: badge, focus: 'watch', price: stats.min, cur,
+      render: () => renderBadge(badge),
+      submit: target => chrome.runtime.sendMessage({
+        type:  'bpc:watch-add',
+        watch: { kind: 'dates', params: fetchContext(), checkin, checkout, target, currency: cur },
+      }).catch(() => {}),
+    });
   }
 
-  async function doFetch ({ key, checkin, checkout }) {
-    const url = buildSearchUrl(checkin, checkout);
-    try {
-      const res = await fetch(url, {
-        credentials: 'include',
-        headers: {
-          'Accept':          'text/html,application/xhtml+xml',
-          'Accept-Language': 'en-US,en;q=0.9',
+  /** Watch / unwatch a compare-bar hotel at the current search's dates */
+  function toggleHotelWatch (hotel) {
+    if (!searchParams) {
+      showCompareToast('Search with dates to watch a hotel’s price');
+      return;
+    }
+    const { checkin, checkout } = searchParams;
+    const propertyId = propertyIdFromUrl(hotel.url);
+    if (!propertyId) return;
+    const existing = findWatch(checkin, checkout, propertyId);
+    if (existing) {
+      chrome.runtime.sendMessage({ type: 'bpc:watch-remove', id: existing.id }).catch(() => {});
+      return;
+    }
+
+    const locale = pageLocale(document);
+    const price  = parsePrice(hotel.price, { locale, currency });
+    const cur    = currency;
+    const url    = new URL(hotel.url);
+    askTarget({
+      id:     `hotel:${hotel.id}`,
+      root:   document.getElementById(COMPARE_BAR_ID),
+      focus:  `watch:${hotel.id}`,
+      price,
+      cur,
+      render: renderCompareBar,
+      submit: target => chrome.runtime.sendMessage({
+        type:  'bpc:watch-add',
+        watch: {
+          kind: 'hotel', params: watchContext(propertyId), checkin, checkout, target, currency: cur,
+          propertyId, hotelName: hotel.name, hotelUrl: url.origin + url.pathname,
         },
-      });
+      }).catch(() => {}),
+    });
+  }
 
-      if (res.status === 429 || res.status === 503) {
-        // Rate-limited – put back in queue with a longer future delay
-        setTimeout(() => {
-          if (!priceCache.has(key)) fetchQueue.push({ key, checkin, checkout });
-          drain();
-        }, 5000);
-        return;
-      }
+  /**
+   * The watch target being typed, in place of the watch button:
+   * { id, root, focus, cur, render, submit, value, invalid } (see askTarget)
+   */
+  let watchDraft = null;
 
-      if (!res.ok) { priceCache.set(key, null); return; }
+  /**
+   * Ask for a target price with an inline input, suggesting 10% below
+   * `price`. `id` says which watch button the input replaces (its renderer
+   * checks), `focus` is that button's data-bpc-focus name inside `root`,
+   * `render` redraws root and `submit(target)` gets the price entered.
+   */
+  function askTarget ({ id, root, focus, price, cur, render, submit }) {
+    const value = price ? String(Math.floor(price * 0.9)) : '';
+    watchDraft = { id, root, focus, cur, render, submit, value, invalid: false };
+    render();
+    focusControl(root, focus);
+  }
+
+  /** Inline target input for the open watchDraft (see askTarget) */
+  function renderWatchTarget (focus, label) {
+    return `
+      <div class="bpc-watch-form" data-bpc-focus="${esc(focus)}">
+        <label class="bpc-watch-label">
+          ${esc(label)}
+          <input class="bpc-watch-target" type="text" inputmode="decimal" autocomplete="off"
+                 value="${esc(watchDraft.value)}" ${watchDraft.invalid ? 'aria-invalid="true"' : ''}>
+        </label>
+        <button type="button" class="bpc-watch-save">Watch</button>
+        <button type="button" class="bpc-watch-cancel" aria-label="Cancel">×</button>
+      </div>`;
+  }
 
-      const html   = await res.text();
-      const doc    = new DOMParser().parseFromString(html, 'text/html');
-      const prices = extractPricesFromDoc(doc);
+  function submitWatchTarget () {
+    const draft  = watchDraft;
+    const target = parsePrice(draft.value, { locale: pageLocale(document), currency: draft.cur });
+    if (!target) {
+      draft.invalid = true;
+      draft.render();
+      return;
+    }
+    closeWatchTarget();
+    draft.submit(target);
+  }
 
-      priceCache.set(key, prices.length > 0 ? calcStats(prices) : null);
-      updateAllBadges();
+  /** Back to the watch button, focused */
+  function closeWatchTarget () {
+    const { root, focus, render } = watchDraft;
+    watchDraft = null;
+    render();
+    focusControl(root, focus);
+  }
 
-    } catch (_) {
-      priceCache.set(key, null);
+  // The input sits inside Booking.com's date picker and search form: its
+  // keys and clicks stop here, before the page's own handlers see them
+  document.addEventListener('keydown', e => {
+    if (!watchDraft || !e.target.closest?.('.bpc-watch-form')) return;
+    e.stopPropagation();
+    if (e.key === 'Enter' && e.target.matches('.bpc-watch-target')) {
+      e.preventDefault();
+      submitWatchTarget();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeWatchTarget();
     }
-  }
+  }, true);
+
+  document.addEventListener('input', e => {
+    if (!watchDraft || !e.target.matches?.('.bpc-watch-target')) return;
+    watchDraft.value   = e.target.value;
+    watchDraft.invalid = false;
+    e.target.removeAttribute('aria-invalid');
+  }, true);
+
+  document.addEventListener('click', e => {
+    if (!watchDraft || !e.target.closest?.('.bpc-watch-form')) return;
+    e.stopPropagation();
+    if (e.target.closest('.bpc-watch-save'))   submitWatchTarget();
+    if (e.target.closest('.bpc-watch-cancel')) closeWatchTarget();
+  }, true);
 
   // ─── SPA navigation ──────────────────────────────────────────────────────────
 
@@ -895,15 +1555,12 @@
       const fresh = parseSearchParams();
       if (!fresh) return;
 
-      // If the dates changed, reset queue (keep cache – it may still be valid)
-      if (fresh.checkin !== searchParams?.checkin ||
-          fresh.checkout !== searchParams?.checkout) {
-        fetchQueue.length = 0;
-      }
-
       searchParams    = fresh;
       selectedCheckin = null;   // clear date selection on navigation
-      setTimeout(scrapeCurrentPage, SCRAPE_DELAY_MS);
+      // Re-subscribing drops this tab's queued fetches (keeps the cache – it
+      // may still be valid) and switches cache if the destination changed
+      subscribeToSearch();
+      setTimeout(scrapeCurrentPage, scrapeDelayMs);
     }).observe(document, { subtree: true, childList: true });
   }
 
@@ -927,7 +1584,7 @@
       if (closeBtn) { closeBtn.click(); return; }
 
       // 2. Click outside the calendar (on the backdrop / body) to dismiss
-      const cal = document.querySelector(CALENDAR_SELECTOR);
+      const cal = document.querySelector(selector('calendar'));
       if (cal) {
         const rect = cal.getBoundingClientRect();
         // Click a point well outside the calendar bounds
@@ -938,40 +1595,583 @@
     }, 150);
   }
 
-  // ─── Utilities ───────────────────────────────────────────────────────────────
+  // ─── Price matrix (check-in × length of stay) ─────────────────────────────────
+
+  /** First check-in row of the open matrix (null while closed) */
+  let matrixStart = null;
+
+  /**
+   * Tools row at the top of the calendar. Needs a full search context,
+   * because the matrix is filled through the background fetch queue.
+   */
+  function renderCalendarToolbar (calEl) {
+    let bar = calEl.querySelector('.bpc-cal-toolbar');
+    if (!searchParams) { bar?.remove(); return; }
+    if (bar) return;
+
+    bar = document.createElement('div');
+    bar.className = 'bpc-cal-toolbar';
+    bar.innerHTML = `
+      <button type="button" class="bpc-cal-tool" data-bpc-tool="matrix">
+        <span aria-hidden="true">▦</span> Price grid by length of stay
+      </button>
+      <button type="button" class="bpc-cal-tool" data-bpc-tool="finder">
+        <span aria-hidden="true">⌕</span> Find cheapest dates
+      </button>
+      <button type="button" class="bpc-cal-tool" data-bpc-tool="export-csv" title="Download this search's cached prices">
+        <span aria-hidden="true">⭳</span> CSV
+      </button>
+      <button type="button" class="bpc-cal-tool" data-bpc-tool="export-json" title="Download this search's cached prices">
+        <span aria-hidden="true">⭳</span> JSON
+      </button>
+      <button type="button" class="bpc-cal-tool" data-bpc-tool="import" title="Load prices exported on another machine">
+        <span aria-hidden="true">⭱</span> Import
+      </button>`;
+    bar.querySelector('[data-bpc-tool="matrix"]').addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      openPriceMatrix();
+    });
+    bar.querySelector('[data-bpc-tool="finder"]').addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      openWindowFinder();
+    });
+    bar.querySelector('[data-bpc-tool="export-csv"]').addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      exportPrices('csv');
+    });
+    bar.querySelector('[data-bpc-tool="export-json"]').addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      exportPrices('json');
+    });
+    bar.querySelector('[data-bpc-tool="import"]').addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      pickImportFile();
+    });
+    calEl.prepend(bar);
+  }
+
+  function openPriceMatrix () {
+    const today = new Date().toISOString().slice(0, 10);
+    const start = selectedCheckin || searchParams.checkin;
+    matrixStart = start < today ? today : start;
+
+    document.getElementById(MATRIX_MODAL_ID)?.remove();
+    const modal = document.createElement('div');
+    modal.id = MATRIX_MODAL_ID;
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-label', 'Price grid by check-in date and length of stay');
+    modal.innerHTML = `
+      <div class="bpc-modal-backdrop"></div>
+      <div class="bpc-modal-dialog bpc-matrix-dialog">
+        <div class="bpc-modal-header">
+          <div class="bpc-modal-header-main">
+            <h2 class="bpc-modal-title">Price grid</h2>
+            <div class="bpc-modal-subtitle" data-bpc-matrix-progress></div>
+          </div>
+          <div class="bpc-modal-header-actions">
+            <button class="bpc-modal-reset" type="button" data-bpc-matrix-shift="-7">← Earlier</button>
+            <button class="bpc-modal-reset" type="button" data-bpc-matrix-shift="7">Later →</button>
+            <button class="bpc-modal-close" type="button" aria-label="Close price grid">×</button>
+          </div>
+        </div>
+        <div class="bpc-modal-body">
+          <p class="bpc-matrix-hint">
+            Cheapest hotel per check-in date and length of stay: total price, and per night below.
+            Click a cell to search those dates.
+          </p>
+          <table class="bpc-matrix-table" data-bpc-matrix-table></table>
+        </div>
+      </div>`;
+
+    const closeModal = () => {
+      matrixStart = null;
+      chrome.runtime.sendMessage({ type: 'bpc:grid-cancel' }).catch(() => {});
+      modal.remove();
+      document.removeEventListener('keydown', onEsc);
+      document.body.style.overflow = '';
+    };
+    const onEsc = e => {
+      if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', onEsc);
+    modal.querySelector('.bpc-modal-backdrop').addEventListener('click', closeModal);
+    modal.querySelector('.bpc-modal-close').addEventListener('click', closeModal);
+
+    modal.querySelectorAll('[data-bpc-matrix-shift]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const shifted = addDays(matrixStart, Number(btn.getAttribute('data-bpc-matrix-shift')));
+        const today   = new Date().toISOString().slice(0, 10);
+        matrixStart   = shifted < today ? today : shifted;
+        requestMatrixPrices();
+        refreshPriceMatrix();
+      });
+    });
+
+    modal.querySelector('[data-bpc-matrix-table]').addEventListener('click', e => {
+      const cell = e.target.closest('[data-bpc-checkin]');
+      if (!cell) return;
+      applySearchDates(cell.getAttribute('data-bpc-checkin'), cell.getAttribute('data-bpc-checkout'));
+    });
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+    requestMatrixPrices();
+    refreshPriceMatrix();
+  }
 
-  function cacheKey (checkin, checkout) {
-    return `${checkin}/${checkout}`;
+  function matrixDatePairs () {
+    const pairs = [];
+    for (let r = 0; r < MATRIX_ROWS; r++) {
+      const checkin = addDays(matrixStart, r);
+      for (let n = 1; n <= MATRIX_NIGHTS; n++) pairs.push([checkin, addDays(checkin, n)]);
+    }
+    return pairs;
   }
 
-  function addDays (dateStr, n) {
-    const d = new Date(dateStr + 'T00:00:00Z');
-    d.setUTCDate(d.getUTCDate() + n);
-    return d.toISOString().slice(0, 10);
+  /**
+   * Queue every cell of the visible matrix (the worker skips cached ones)
+   * behind the calendar's own dates, replacing the cells of an earlier window.
+   */
+  function requestMatrixPrices () {
+    requestPrices(matrixDatePairs(), { grid: true });
   }
 
-  function daysBetween (a, b) {
-    return Math.round(
-      (new Date(b + 'T00:00:00Z') - new Date(a + 'T00:00:00Z')) / 86_400_000
-    );
+  /**
+   * (Re-)render the open matrix from priceCache. Cells are coloured by their
+   * per-night price relative to the other loaded cells; the cheapest
+   * per-night combination and the current search are outlined.
+   */
+  function refreshPriceMatrix () {
+    const table = document.querySelector(`#${MATRIX_MODAL_ID} [data-bpc-matrix-table]`);
+    if (!table || !matrixStart) return;
+
+    const pairs   = matrixDatePairs();
+    const perNight = pairs
+      .map(([ci, co]) => {
+        const stats = priceCache.get(cacheKey(ci, co));
+        return stats ? stats.min / daysBetween(ci, co) : Infinity;
+      });
+    const loaded = perNight.filter(isFinite).sort((a, b) => a - b);
+    const lo   = loaded[Math.floor(loaded.length * 0.33)];
+    const hi   = loaded[Math.floor(loaded.length * 0.66)];
+    const best = loaded[0];
+
+    const progress = document.querySelector(`#${MATRIX_MODAL_ID} [data-bpc-matrix-progress]`);
+    const done = pairs.filter(([ci, co]) => priceCache.has(cacheKey(ci, co))).length;
+    progress.textContent = done < pairs.length
+      ? `Loading prices… ${done} / ${pairs.length}`
+      : `${pairs.length} date combinations`;
+
+    const header = Array.from({ length: MATRIX_NIGHTS }, (_, i) =>
+      `<th scope="col">${i + 1} ${i === 0 ? 'night' : 'nights'}</th>`).join('');
+
+    const rows = [];
+    for (let r = 0; r < MATRIX_ROWS; r++) {
+      const checkin = addDays(matrixStart, r);
+      const cells = [];
+      for (let n = 1; n <= MATRIX_NIGHTS; n++) {
+        const checkout = addDays(checkin, n);
+        const idx   = r * MATRIX_NIGHTS + (n - 1);
+        const stats = priceCache.get(cacheKey(checkin, checkout));
+        const classes = ['bpc-mx-cell'];
+        let content;
+
+        if (stats === undefined) {
+          content = '<span class="bpc-loading" aria-label="Loading"></span>';
+        } else if (!stats) {
+          content = '<span class="bpc-mx-empty">–</span>';
+        } else {
+          const cur = stats.currency || currency;
+          const night = perNight[idx];
+          if (loaded.length >= 3) {
+            classes.push(night <= lo ? 'bpc-mx-green' : night >= hi ? 'bpc-mx-orange' : 'bpc-mx-yellow');
+          }
+          if (night === best) classes.push('is-best');
+          content = `
+            <span class="bpc-mx-total">${money(stats.min, cur, true)}</span>
+            <span class="bpc-mx-night">${money(night, cur, true)}/night</span>`;
+        }
+        if (checkin === searchParams.checkin && n === searchParams.nights) classes.push('is-current');
+
+        cells.push(`
+          <td class="${classes.join(' ')}" data-bpc-checkin="${checkin}" data-bpc-checkout="${checkout}"
+              title="${formatDay(checkin)} → ${formatDay(checkout)}">${content}</td>`);
+      }
+      rows.push(`<tr><th scope="row">${formatDay(checkin)}</th>${cells.join('')}</tr>`);
+    }
+
+    table.innerHTML = `
+      <thead><tr><th scope="col">Check-in</th>${header}</tr></thead>
+      <tbody>${rows.join('')}</tbody>`;
+  }
+
+  /** Load the current results page again with other dates */
+  function applySearchDates (checkin, checkout) {
+    const url = new URL(location.href);
+    ['checkin', 'checkout'].forEach(k => {
+      ['_year', '_month', '_monthday'].forEach(suffix => url.searchParams.delete(k + suffix));
+    });
+    url.searchParams.set('checkin', checkin);
+    url.searchParams.set('checkout', checkout);
+    location.assign(url.toString());
+  }
+
+  // ─── Cheapest-window finder ─────────────────────────────────────────────────
+
+  /** Date pairs of the running scan, in check-in order (null while closed) */
+  let finderPairs = null;
+
+  function openWindowFinder () {
+    const today = new Date().toISOString().slice(0, 10);
+    const from  = searchParams.checkin < today ? today : searchParams.checkin;
+
+    document.getElementById(FINDER_MODAL_ID)?.remove();
+    const modal = document.createElement('div');
+    modal.id = FINDER_MODAL_ID;
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-label', 'Find the cheapest dates');
+    modal.innerHTML = `
+      <div class="bpc-modal-backdrop"></div>
+      <div class="bpc-modal-dialog bpc-finder-dialog">
+        <div class="bpc-modal-header">
+          <div class="bpc-modal-header-main">
+            <h2 class="bpc-modal-title">Cheapest dates</h2>
+            <div class="bpc-modal-subtitle" data-bpc-finder-progress></div>
+          </div>
+          <div class="bpc-modal-header-actions">
+            <button class="bpc-modal-close" type="button" aria-label="Close date finder">×</button>
+          </div>
+        </div>
+        <div class="bpc-modal-body">
+          <form class="bpc-finder-form">
+            <label>Check in from
+              <input type="date" name="from" value="${from}" min="${today}" required>
+            </label>
+            <label>within
+              <select name="days">
+                <option value="30">30 days</option>
+                <option value="60">60 days</option>
+                <option value="${FINDER_MAX_DAYS}" selected>${FINDER_MAX_DAYS} days</option>
+              </select>
+            </label>
+            <label>staying
+              <input type="number" name="nights" value="${searchParams.nights}" min="1" max="30" required> nights
+            </label>
+            <label class="bpc-finder-check">
+              <input type="checkbox" name="weekends"> Weekends only
+            </label>
+            <button class="bpc-modal-reset" type="submit">Scan</button>
+          </form>
+          <p class="bpc-matrix-hint">
+            Dates that aren't cached yet are fetched slowly in the background (one every few seconds),
+            so a long range takes a few minutes. Click a result to search those dates.
+          </p>
+          <ol class="bpc-finder-results" data-bpc-finder-results></ol>
+        </div>
+      </div>`;
+
+    const closeModal = () => {
+      finderPairs = null;
+      chrome.runtime.sendMessage({ type: 'bpc:scan-cancel' }).catch(() => {});
+      modal.remove();
+      document.removeEventListener('keydown', onEsc);
+      document.body.style.overflow = '';
+    };
+    const onEsc = e => {
+      if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', onEsc);
+    modal.querySelector('.bpc-modal-backdrop').addEventListener('click', closeModal);
+    modal.querySelector('.bpc-modal-close').addEventListener('click', closeModal);
+
+    const form = modal.querySelector('.bpc-finder-form');
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      startWindowScan({
+        from:     form.elements.from.value,
+        days:     Number(form.elements.days.value),
+        nights:   Number(form.elements.nights.value),
+        weekends: form.elements.weekends.checked,
+      });
+    });
+
+    modal.querySelector('[data-bpc-finder-results]').addEventListener('click', e => {
+      const row = e.target.closest('[data-bpc-checkin]');
+      if (!row) return;
+      applySearchDates(row.getAttribute('data-bpc-checkin'), row.getAttribute('data-bpc-checkout'));
+    });
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Queue a new scan (replacing the previous one) for every check-in in
+   * [from, from + days) – only Fridays and Saturdays with `weekends`
+   */
+  function startWindowScan ({ from, days, nights, weekends }) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (!from || from < today || !(nights >= 1)) return;
+
+    finderPairs = [];
+    for (let i = 0; i < Math.min(days, FINDER_MAX_DAYS); i++) {
+      const checkin = addDays(from, i);
+      const weekday = new Date(checkin + 'T00:00:00Z').getUTCDay();
+      if (weekends && weekday !== 5 && weekday !== 6) continue;
+      finderPairs.push([checkin, addDays(checkin, nights)]);
+    }
+
+    chrome.runtime.sendMessage({ type: 'bpc:scan-cancel' }).catch(() => {});
+    requestPrices(finderPairs, { low: true });
+    refreshWindowFinder();
+  }
+
+  /** (Re-)render the scan's progress and its cheapest windows from priceCache */
+  function refreshWindowFinder () {
+    const list = document.querySelector(`#${FINDER_MODAL_ID} [data-bpc-finder-results]`);
+    if (!list || !finderPairs) return;
+
+    const done  = finderPairs.filter(([ci, co]) => priceCache.has(cacheKey(ci, co))).length;
+    const total = finderPairs.length;
+    const progress = document.querySelector(`#${FINDER_MODAL_ID} [data-bpc-finder-progress]`);
+    progress.textContent = done < total
+      ? `Scanning… ${done} / ${total} check-in dates${fetchState.paused ? ' (paused)' : ''}`
+      : `${total} check-in dates scanned`;
+
+    const windows = finderPairs
+      .map(([checkin, checkout]) => ({ checkin, checkout, stats: priceCache.get(cacheKey(checkin, checkout)) }))
+      .filter(w => w.stats)
+      .sort((a, b) => a.stats.min - b.stats.min)
+      .slice(0, FINDER_RESULTS);
+
+    if (!windows.length) {
+      list.innerHTML = `<li class="bpc-finder-empty">${done < total ? 'Waiting for the first prices…' : 'No prices found for these dates.'}</li>`;
+      return;
+    }
+
+    list.innerHTML = windows.map(({ checkin, checkout, stats }) => {
+      const cur   = stats.currency || currency;
+      const night = stats.min / daysBetween(checkin, checkout);
+      const current = checkin === searchParams.checkin && checkout === searchParams.checkout;
+      return `
+        <li>
+          <button type="button" class="bpc-finder-row${current ? ' is-current' : ''}"
+                  data-bpc-checkin="${checkin}" data-bpc-checkout="${checkout}">
+            <span class="bpc-finder-dates">${formatDay(checkin)} → ${formatDay(checkout)}</span>
+            <span class="bpc-finder-total">${money(stats.min, cur)}</span>
+            <span class="bpc-finder-night">${money(night, cur)}/night</span>
+          </button>
+        </li>`;
+    }).join('');
+  }
+
+  // ─── Export / import ─────────────────────────────────────────────────────────
+
+  /**
+   * Download every cached price of the current search context as 'csv' (one
+   * row per date pair) or 'json' (the same rows plus the full stats and the
+   * search context, for importPrices on another machine)
+   */
+  async function exportPrices (format) {
+    const params = fetchContext();
+    let entries;
+    try {
+      entries = await chrome.runtime.sendMessage({ type: 'bpc:export', params });
+    } catch (err) {
+      console.warn('[BPC] Background worker unavailable:', err);
+      return;
+    }
+    if (!entries?.length) { showCompareToast('No prices cached for this search yet'); return; }
+
+    const rows = entries.map(({ checkin, checkout, stats, fetchedAt }) => ({
+      checkin,
+      checkout,
+      nights:    daysBetween(checkin, checkout),
+      min:       round2(stats.min),
+      avg:       round2(stats.avg),
+      max:       round2(stats.max),
+      count:     stats.count,
+      currency:  stats.currency?.code || currency?.code || '',
+      fetchedAt: new Date(fetchedAt).toISOString(),
+    }));
+
+    const slug = (params.dest || 'search').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const name = `booking-prices-${slug}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+      const columns = Object.keys(rows[0]);
+      const lines = [columns, ...rows.map(r => columns.map(c => r[c]))].map(cells => cells.map(csvCell).join(','));
+      downloadFile(`${name}.csv`, 'text/csv', lines.join('\r\n') + '\r\n');
+    } else {
+      const data = {
+        format:     EXPORT_FORMAT,
+        version:    EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        params,
+        entries:    rows.map((row, i) => ({ ...row, stats: entries[i].stats })),
+      };
+      downloadFile(`${name}.json`, 'application/json', JSON.stringify(data, null, 2));
+    }
+  }
+
+  function round2 (n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /** A CSV field, quoted when it holds a comma, quote or line break */
+  function csvCell (value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function downloadFile (name, type, text) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function pickImportFile () {
+    const input = document.createElement('input');
+    input.type   = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      if (input.files[0]) importPrices(input.files[0]);
+    });
+    input.click();
+  }
+
+  /**
+   * Load a JSON export into the worker's cache for the search it was made
+   * for. Badges update right away when that is the search on screen.
+   */
+  async function importPrices (file) {
+    let data = null;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (_) { /* reported below */ }
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries) || typeof data.params?.dest !== 'string') {
+      showCompareToast('That file isn’t a price export from this extension');
+      return;
+    }
+    if (data.version > EXPORT_VERSION) {
+      showCompareToast('That export was made by a newer version of the extension');
+      return;
+    }
+
+    const bad = data.entries.findIndex(e => importEntryProblem(e));
+    if (bad >= 0) {
+      showCompareToast(`Nothing imported – price ${bad + 1} in the file ${importEntryProblem(data.entries[bad])}`);
+      return;
+    }
+
+    // Only the context fields, as strings – the file decides which cache is written
+    const params = {};
+    ['dest', 'destId', 'destType', 'adults', 'children', 'ages', 'rooms', 'filters', 'order', 'selectedCurrency', 'property']
+      .forEach(f => { params[f] = String(data.params[f] ?? ''); });
+    const entries = data.entries.map(e => ({
+      checkin:   e.checkin,
+      checkout:  e.checkout,
+      fetchedAt: Date.parse(e.fetchedAt),
+      stats:     e.stats || { min: e.min, avg: e.avg, max: e.max, count: e.count, currency: { code: e.currency } },
+    }));
+
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({ type: 'bpc:import', params, entries });
+    } catch (err) {
+      console.warn('[BPC] Background worker unavailable:', err);
+      return;
+    }
+    if (result?.error) {
+      showCompareToast(`Nothing imported – ${result.error}`);
+      return;
+    }
+
+    let msg = `Imported ${result.imported} price${result.imported === 1 ? '' : 's'}`;
+    if (result.skipped) msg += ` (${result.skipped} past, expired or older than yours skipped)`;
+    if (result.contextKey !== cacheContextKey) msg += ` for ${params.dest || 'another search'} – open that search to see them`;
+    showCompareToast(msg);
+  }
+
+  /** What's wrong with an exported price entry, as the end of a sentence ('' = nothing) */
+  function importEntryProblem (e) {
+    if (!e || typeof e !== 'object') return 'isn’t a price entry';
+    if (![e.checkin, e.checkout].every(d => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      return 'has no valid check-in and check-out dates';
+    }
+    if (Number.isNaN(Date.parse(e.fetchedAt))) return 'has no valid fetch time';
+    const stats = e.stats ?? e;
+    if (!stats || typeof stats !== 'object' || !['min', 'avg', 'max', 'count'].every(f => Number.isFinite(stats[f]))) {
+      return 'has no numeric min, average, max and count';
+    }
+    return '';
+  }
+
+  // ─── Utilities ───────────────────────────────────────────────────────────────
+
+  /**
+   * Replace an element's markup, keeping keyboard focus on the control that
+   * had it – matched by its data-bpc-focus name
+   */
+  function replaceMarkup (el, html) {
+    const focused = el.contains(document.activeElement)
+      ? document.activeElement.closest('[data-bpc-focus]')?.dataset.bpcFocus
+      : null;
+    el.innerHTML = html;
+    if (focused) focusControl(el, focused);
+  }
+
+  /** Focus the control named `name` inside root (an input's caret at its end) */
+  function focusControl (root, name) {
+    const el = root?.querySelector(`[data-bpc-focus="${CSS.escape(name)}"]`);
+    const control = el?.matches('a, button') ? el : el?.querySelector('input');
+    if (!control) return;
+    control.focus();
+    if (control.matches('input')) control.setSelectionRange(control.value.length, control.value.length);
   }
 
-  /** Compact price formatter: 1234 → "1.2k", 85 → "85" */
-  function fmt (n) {
-    if (!n && n !== 0) return '?';
-    if (n >= 10_000) return Math.round(n / 1000) + 'k';
-    if (n >= 1_000)  return (n / 1000).toFixed(1) + 'k';
-    return Math.round(n).toString();
+  /**
+   * Price in the page's locale: "€1,234", "1.234 €", "¥12,345". `compact`
+   * shortens six-figure amounts for badges ("₩123K").
+   */
+  function money (n, cur, compact = false) {
+    return formatPrice(n, cur, { locale: pageLocale(document), compact });
   }
 
   const sleep = ms => new Promise(r => setTimeout(r, ms));
 
+  /** "2026-02-21" → "Sat 21 Feb" */
+  function formatDay (iso) {
+    return new Date(iso + 'T00:00:00Z').toLocaleDateString('en-GB', {
+      weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC',
+    });
+  }
+
+  const relativeTime = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+  /** Human-readable age of a timestamp: "5 minutes ago", "yesterday", "3 days ago" */
+  function timeAgo (t) {
+    const minutes = Math.round((Date.now() - t) / 60_000);
+    if (minutes < 60)   return relativeTime.format(-minutes, 'minute');
+    if (minutes < 1440) return relativeTime.format(-Math.round(minutes / 60), 'hour');
+    return relativeTime.format(-Math.round(minutes / 1440), 'day');
+  }
+
   // ─── Hotel Comparison ────────────────────────────────────────────────────────
 
   const COMPARE_BTN_CLASS = 'bpc-compare-btn';
   const COMPARE_BAR_ID    = 'bpc-compare-bar';
   const COMPARE_MODAL_ID  = 'bpc-compare-modal';
-  const MAX_COMPARE       = 4;
 
   /** Cache for hotel detail page fetches (facilities + area info) keyed by URL */
   const detailsCache = new Map();
@@ -979,12 +2179,13 @@
   /** Currently saved hotels for comparison */
   let compareList = [];
 
-  // Persist compare list across page loads (local storage, not synced)
-  chrome.storage.local.get({ compareList: [] }, s => {
+  // Persist compare list across page loads (local storage, not synced). The
+  // cards its buttons go on are found with the selector pack – wait for it.
+  Promise.all([chrome.storage.local.get({ compareList: [] }), BPCSelectors.ready()]).then(([s]) => {
     compareList = s.compareList || [];
     renderCompareBar();
     updateAllCompareButtons();
-  });
+  }, err => console.warn('[BPC] Failed to restore the compare list:', err));
 
   function saveCompareList () {
     chrome.storage.local.set({ compareList }).catch(err => {
@@ -994,43 +2195,41 @@
 
   /** Return a stable hotel ID from its page URL path */
   function getHotelId (card) {
-    const link = card.querySelector('[data-testid="title-link"]');
+    const link = card.querySelector(selector('cardLink'));
     if (!link?.href) return null;
     try { return new URL(link.href).pathname.split('?')[0]; } catch (_) { return null; }
   }
 
-  /** Scrape the visible data from a property card element */
+  /** Scrape the visible data from a property card element (selectors from the selector pack) */
   function extractHotelData (card) {
-    const name = card.querySelector('[data-testid="title"]')?.textContent.trim() || '';
-    const url  = card.querySelector('[data-testid="title-link"]')?.href || '';
-    const img  = card.querySelector(
-      '[data-testid="property-card-desktop-single-image"] img, [data-testid="image"]'
-    )?.src || '';
+    const text = key => card.querySelector(selector(key))?.textContent.trim() || '';
+    const name = text('cardTitle');
+    const url  = card.querySelector(selector('cardLink'))?.href || '';
+    const img  = card.querySelector(selector('hotelImage'))?.src || '';
 
     // Stars: aria-label="4 out of 5"
-    const starsMatch = card.querySelector('[aria-label*="out of 5"]')
+    const starsMatch = card.querySelector(selector('hotelStars'))
       ?.getAttribute('aria-label')?.match(/^(\d)/);
     const stars = starsMatch ? parseInt(starsMatch[1]) : 0;
 
     // Review score
-    const scoreEl    = card.querySelector('[data-testid="review-score"]');
+    const scoreEl    = card.querySelector(selector('cardScore'));
     const score      = scoreEl?.querySelector('[aria-hidden="true"]')?.textContent.trim() || '';
     const scoreLabel = scoreEl?.querySelector('[aria-hidden="false"] div:first-child')?.textContent.trim() || '';
     const reviewCount= scoreEl?.querySelector('[aria-hidden="false"] div:last-child')?.textContent.trim()  || '';
 
     // Location & distance
-    const location = card.querySelector('[data-testid="address-link"] .d823fbbeed')
-      ?.textContent.trim() || '';
-    const distance = card.querySelector('[data-testid="distance"]')?.textContent.trim() || '';
+    const location = text('hotelAddress');
+    const distance = text('hotelDistance');
 
     // Prices
-    const price     = card.querySelector('[data-testid="price-and-discounted-price"]')?.textContent.trim() || '';
-    const origPrice = card.querySelector('.d68334ea31')?.textContent.trim() || '';
-    const nights    = card.querySelector('[data-testid="price-for-x-nights"]')?.textContent.trim() || '';
+    const price     = selector('cardPrice').map(sel => card.querySelector(sel)).find(Boolean)?.textContent.trim() || '';
+    const origPrice = text('hotelOriginalPrice');
+    const nights    = text('hotelNights');
 
     // Room & payment
-    const room    = card.querySelector('[data-testid="recommended-units"] h4')?.textContent.trim() || '';
-    const payment = card.querySelector('[data-testid="availability-single"] strong')?.textContent.trim() || '';
+    const room    = text('hotelRoom');
+    const payment = text('hotelPayment');
 
     return { name, url, img, stars, score, scoreLabel, reviewCount,
              location, distance, price, origPrice, nights, room, payment };
@@ -1045,8 +2244,8 @@
     if (idx >= 0) {
       compareList.splice(idx, 1);
     } else {
-      if (compareList.length >= MAX_COMPARE) {
-        showCompareToast(`You can compare up to ${MAX_COMPARE} hotels at once`);
+      if (compareList.length >= maxCompare) {
+        showCompareToast(`You can compare up to ${maxCompare} hotels at once`);
         return;
       }
       compareList.push({ id, ...extractHotelData(card) });
@@ -1077,7 +2276,7 @@
       toggleCompare(card);
     });
 
-    const imgContainer = card.querySelector('.c17271c4d7');
+    const imgContainer = card.querySelector(selector('hotelImageBox'));
     if (imgContainer) {
       imgContainer.style.position = 'relative';
       imgContainer.appendChild(btn);
@@ -1102,19 +2301,19 @@
   }
 
   function updateAllCompareButtons () {
-    document.querySelectorAll('[data-testid="property-card"]').forEach(updateCompareButton);
+    document.querySelectorAll(selector('propertyCard')).forEach(updateCompareButton);
   }
 
   /** Inject compare buttons now and watch for new cards added by infinite scroll */
   function watchForHotelCards () {
-    document.querySelectorAll('[data-testid="property-card"]').forEach(injectCompareButton);
+    document.querySelectorAll(selector('propertyCard')).forEach(injectCompareButton);
 
     new MutationObserver(mutations => {
       for (const { addedNodes } of mutations) {
         for (const node of addedNodes) {
           if (node.nodeType !== Node.ELEMENT_NODE) continue;
-          if (node.matches('[data-testid="property-card"]')) injectCompareButton(node);
-          node.querySelectorAll('[data-testid="property-card"]').forEach(injectCompareButton);
+          if (node.matches(selector('propertyCard'))) injectCompareButton(node);
+          node.querySelectorAll(selector('propertyCard')).forEach(injectCompareButton);
         }
       }
     }).observe(document.body, { childList: true, subtree: true });
@@ -1122,6 +2321,12 @@
 
   // ─── Compare Bar (sticky bottom tray) ────────────────────────────────────────
 
+  function isHotelWatched (hotel) {
+    const propertyId = propertyIdFromUrl(hotel.url);
+    return Boolean(searchParams && propertyId &&
+      findWatch(searchParams.checkin, searchParams.checkout, propertyId));
+  }
+
   function renderCompareBar () {
     let bar = document.getElementById(COMPARE_BAR_ID);
 
@@ -1133,9 +2338,9 @@
       document.body.appendChild(bar);
     }
 
-    const emptySlots = MAX_COMPARE - compareList.length;
+    const emptySlots = Math.max(0, maxCompare - compareList.length);
 
-    bar.innerHTML = `
+    replaceMarkup(bar, `
       <div class="bpc-cb-inner">
         <div class="bpc-cb-slots">
           ${compareList.map(h => `
@@ -1145,8 +2350,14 @@
                 : '<div class="bpc-cb-slot-img bpc-cb-no-img"></div>'}
               <div class="bpc-cb-slot-info">
                 <div class="bpc-cb-slot-name">${esc(h.name)}</div>
-                <div class="bpc-cb-slot-price">${esc(h.price)}</div>
+                ${watchDraft?.id === `hotel:${h.id}`
+                  ? renderWatchTarget(`watch:${h.id}`, 'Below')
+                  : `<div class="bpc-cb-slot-price">${esc(h.price)}</div>`}
               </div>
+              ${watchDraft?.id === `hotel:${h.id}` ? '' : `
+                <button class="bpc-cb-watch ${isHotelWatched(h) ? 'is-active' : ''}" data-id="${esc(h.id)}"
+                        data-bpc-focus="watch:${esc(h.id)}"
+                        title="${isHotelWatched(h) ? 'Stop watching' : 'Notify me when cheaper'}">🔔</button>`}
               <button class="bpc-cb-remove" data-id="${esc(h.id)}" aria-label="Remove ${esc(h.name)}">×</button>
             </div>
           `).join('')}
@@ -1162,7 +2373,7 @@
           </button>
           <button class="bpc-cb-btn-clear">Clear all</button>
         </div>
-      </div>`;
+      </div>`);
 
     bar.querySelectorAll('.bpc-cb-remove').forEach(btn => {
       btn.addEventListener('click', e => {
@@ -1174,6 +2385,14 @@
       });
     });
 
+    bar.querySelectorAll('.bpc-cb-watch').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.stopPropagation();
+        const hotel = compareList.find(h => h.id === btn.dataset.id);
+        if (hotel) toggleHotelWatch(hotel);
+      });
+    });
+
     bar.querySelector('.bpc-cb-btn-compare')?.addEventListener('click', () => {
       if (compareList.length >= 2) openCompareModal();
     });
@@ -1212,16 +2431,17 @@
       iframe.src = url;
 
       let done = false;
-      const finish = (result) => {
+      const finish = (result, outcome = result ? 'loaded' : 'failed') => {
         if (done) return;
         done = true;
         clearTimeout(timer);
         try { iframe.remove(); } catch (_) {}
+        reportDetailDiagnostics({ iframe: outcome });
         resolve(result);
       };
 
       // Hard timeout so a slow/broken page never hangs the compare modal
-      const timer = setTimeout(() => finish(null), 20_000);
+      const timer = setTimeout(() => finish(null, 'timedOut'), detailTimeoutSec * 1000);
 
       iframe.addEventListener('error', () => finish(null));
 
@@ -1449,18 +2669,23 @@
 
     if (detailsCache.has(cleanUrl)) return detailsCache.get(cleanUrl);
     detailsCache.set(cleanUrl, null); // mark as fetched (null = failed/empty)
+    let status = 0;
     try {
-      const fetchPage = async (extraParams = '') => {
-        const res = await fetch(cleanUrl + extraParams, {
+      const loadDoc = async (extraParams = '') => {
+        const res = await fetchPage(cleanUrl + extraParams, {
           credentials: 'include',
           headers: { 'Accept': 'text/html,application/xhtml+xml', 'Accept-Language': 'en-US,en;q=0.9' },
         });
+        status = res.status;
         if (!res.ok) return null;
         return new DOMParser().parseFromString(await res.text(), 'text/html');
       };
 
-      let doc = await fetchPage();
-      if (!doc) return null;
+      let doc = await loadDoc();
+      if (!doc) {
+        reportDetailDiagnostics({ page: { url: cleanUrl, ok: false, error: `HTTP ${status}` } });
+        return null;
+      }
 
       const facilityGroups = extractFacilityGroups(doc);
       let details = {
@@ -1479,7 +2704,7 @@
       //       those two (not popularFacilities) as the trigger for the retry.
       if (!details.facilityGroups.length || !details.areaInfo.length) {
         await sleep(DETAIL_LOAD_DELAY_MS);
-        const doc2 = await fetchPage('?lang=en-us');
+        const doc2 = await loadDoc('?lang=en-us');
         if (doc2) {
           const facilityGroups2 = extractFacilityGroups(doc2);
           const d2 = {
@@ -1498,7 +2723,8 @@
 
       // Enrich from a live iframe render so lazy-loaded sections triggered by
       // scroll are captured even when the fetched HTML has only partial data.
-      const iframeDetails = await fetchHotelDetailsViaIframe(cleanUrl);
+      // Replayed snapshots stay offline – the fetched HTML is all there is.
+      const iframeDetails = snapshotMode() === 'replay' ? null : await fetchHotelDetailsViaIframe(cleanUrl);
       if (iframeDetails) {
         details = {
           popularFacilities: mergeUniqueStrings(details.popularFacilities, iframeDetails.popularFacilities),
@@ -1520,6 +2746,7 @@
           const facKeys = allKeys.filter(k => /facilit|amenity|Facility/i.test(k));
           apolloFacilityInfo = {
             totalCacheKeys:      allKeys.length,
+            facilityKeyCount:    facKeys.length,
             facilityRelatedKeys: facKeys.slice(0, 20),
             sampleEntries:       facKeys.slice(0, 3).map(k => ({ key: k, val: cache[k] })),
           };
@@ -1534,9 +2761,30 @@
         hasApolloCache:               !!apolloText,
         apolloFacilityInfo,
       });
+      reportDetailDiagnostics({
+        page: {
+          url:                     cleanUrl,
+          ok:                      true,
+          popularFacilities:       details.popularFacilities.length,
+          facilityGroups:          details.facilityGroups.length,
+          areaInfoCategories:      details.areaInfo.length,
+          photos:                  details.photoUrls.length,
+          facilityGroupContainers: doc.querySelectorAll('[data-testid="facility-group-container"]').length,
+          hasApolloCache:          !!apolloText,
+          apolloFacilityKeys:      apolloFacilityInfo?.facilityKeyCount ?? null,
+        },
+      });
       detailsCache.set(cleanUrl, details);
       return details;
-    } catch (_) { return null; }
+    } catch (err) {
+      reportDetailDiagnostics({ page: { url: cleanUrl, ok: false, error: String(err?.message || err) } });
+      return null;
+    }
+  }
+
+  /** Count a detail-page fetch or iframe render in the worker's diagnostics (options page) */
+  function reportDetailDiagnostics (report) {
+    chrome.runtime.sendMessage({ type: 'bpc:diagnostics-detail', ...report }).catch(() => {});
   }
 
   function normalizeFacilityText (text) {
@@ -1580,9 +2828,8 @@
   /** Most-popular-facilities list: [data-testid="property-most-popular-facilities-wrapper"] */
   function extractPopularFacilities (doc) {
     // Primary: named wrapper with known child class
-    const primary = Array.from(
-      doc.querySelectorAll('[data-testid="property-most-popular-facilities-wrapper"] .f6b6d2a959')
-    ).flatMap(el => getElementLines(el, true));
+    const primary = Array.from(doc.querySelectorAll(selector('hotelPopularFacility')))
+      .flatMap(el => getElementLines(el, true));
     if (primary.length) return uniqueFacilityLines(primary);
 
     // Fallback: any element whose data-testid contains "facility" and has text
@@ -1762,17 +3009,18 @@
    * Area info POI blocks: attractions, restaurants, transit, airports etc.
    * Each block = { name: "Top attractions", pois: [{ type, name, distance }] }
    *
-   * Structure (as of 2026-02):
+   * Structure (as of 2026-02; the hashed classes are pack selectors):
    *   [data-testid="poi-block"]
-   *     h3 > div.cc045b173b          ← category name
+   *     h3 > div                     ← category name (hotelAreaCategory)
    *     ul[data-testid="poi-block-list"] > li
    *       span[role="listitem"] > div   ← row stack
-   *         div.d1bc97eb82              ← name (may contain span.f0595bb7c6 = type)
-   *         div.d0fa02509a > div.cbf0753d0c ← distance
+   *         div                         ← name (hotelAreaPlace; may contain
+   *                                       the type, hotelAreaPlaceType)
+   *         div > div                   ← distance (hotelAreaDistance)
    */
   function extractAreaInfo (doc) {
     const fromDom = Array.from(doc.querySelectorAll('[data-testid="poi-block"]')).map(block => {
-      const catName = block.querySelector('h3 .cc045b173b')?.textContent.trim()
+      const catName = block.querySelector(selector('hotelAreaCategory'))?.textContent.trim()
                    || block.querySelector('h3 div')?.textContent.trim()
                    || block.querySelector('h3')?.textContent.trim()
                    || '';
@@ -1781,17 +3029,17 @@
       ).map(li => {
         // Primary selector; fallback to first child of the listitem row stack
         const stack  = li.querySelector('span[role="listitem"] > div');
-        const nameEl = li.querySelector('.d1bc97eb82')
+        const nameEl = li.querySelector(selector('hotelAreaPlace'))
                     || (stack?.children?.length >= 1 ? stack.children[0] : null);
         if (!nameEl) return null;
 
-        const typeEl = nameEl.querySelector('.f0595bb7c6');
+        const typeEl = nameEl.querySelector(selector('hotelAreaPlaceType'));
         const type   = typeEl?.textContent.trim() || '';
         const clone  = nameEl.cloneNode(true);
-        clone.querySelector('.f0595bb7c6')?.remove();
+        clone.querySelector(selector('hotelAreaPlaceType'))?.remove();
         const name = clone.textContent.trim();
 
-        const distance = li.querySelector('.cbf0753d0c')?.textContent.trim()
+        const distance = li.querySelector(selector('hotelAreaDistance'))?.textContent.trim()
                       || (stack?.children?.length >= 2 ? stack.children[1]?.textContent.trim() : '')
                       || '';
         return name ? { type, name, distance } : null;
@@ -2446,13 +3694,51 @@
     setTimeout(() => t.remove(), 2500);
   }
 
+  // ─── Selector pack validation ────────────────────────────────────────────────
+
+  /**
+   * What the active selectors find on this page: property cards, prices (or
+   * a hotel page's rooms), open date pickers, day cells in the first one,
+   * and the fields filled in for the first card's compare data.
+   */
+  function measureSelectors () {
+    const cards     = document.querySelectorAll(selector('propertyCard'));
+    const calendars = Array.from(document.querySelectorAll(selector('calendar'))).filter(looksLikeCalendar);
+    const extract   = searchParams?.property ? extractRoomsFromDoc : extractPropertiesFromDoc;
+    const { properties } = extract(document, { selectedCurrency: searchParams?.selectedCurrency });
+    return {
+      propertyCards: cards.length,
+      prices:        properties.length,
+      calendars:     calendars.length,
+      dateCells:     calendars.length ? getDateCells(calendars[0]).length : 0,
+      hotelFields:   cards.length ? Object.values(extractHotelData(cards[0])).filter(Boolean).length : 0,
+    };
+  }
+
+  // The options page tries an imported pack on this page before activating it
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (msg?.type !== 'bpc:validate-pack') return;
+    const problems = checkPack(msg.pack);
+    sendResponse({
+      url:       location.href,
+      problems,
+      active:    measureSelectors(),
+      candidate: problems.length ? null : withPack(withDefaults(msg.pack), measureSelectors),
+    });
+  });
+
   // ─── Bootstrap ───────────────────────────────────────────────────────────────
 
+  /** Start once the selector pack is loaded */
+  function start () {
+    Promise.all([BPCSelectors.ready(), settingsLoaded]).then(init, err => console.warn('[BPC] Failed to start:', err));
+  }
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
     // Small defer so the page JS has a head-start
-    setTimeout(init, 0);
+    setTimeout(start, 0);
   }
 
 })();
@@ -0,0 +1,444 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – price explorer
+ *
+ * Extension page showing the prices the background worker saved for a search
+ * (chrome.storage.local "priceCache:<context>") as month heatmaps, one day per
+ * check-in date. Hover a day for its figures; click it to zoom the tooltip
+ * into a card with the price spread, the price history, other stay lengths
+ * and a button that opens Booking.com for any check-out date.
+ */
+
+const { parseSearchContextKey, contextName, buildSearchUrl, addDays, daysBetween } = self.BPCSearch;
+const { formatPrice } = self.BPCPrice;
+
+const CACHE_KEY_PREFIX = 'priceCache:';
+const CACHE_MAX_AGE_MS = 7 * 86_400_000;   // as in background.js – older entries are dropped there
+const MAX_MONTHS       = 6;                // months shown at once
+const WEEKDAYS         = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+const searchSelect    = document.getElementById('search');
+const occupancySelect = document.getElementById('occupancy');
+const nightsSelect    = document.getElementById('nights');
+const modeSelect      = document.getElementById('displayMode');
+const monthsEl        = document.getElementById('months');
+const emptyEl         = document.getElementById('empty');
+const tipEl           = document.getElementById('tip');
+
+/**
+ * Saved searches with prices for coming check-ins, most recently saved first.
+ * { contextKey, params, savedAt, entries: { "checkin/checkout": entry }, history }
+ */
+let searches = [];
+
+/** Hours a saved price stays fresh (the cacheTtlHours setting) – older ones are marked stale */
+let cacheTtlHours = self.BPCSettings.DEFAULTS.cacheTtlHours;
+
+/** Date pair whose tooltip is zoomed into a card (null = hover tooltips only) */
+let pinnedKey = null;
+
+// ── Saved searches ────────────────────────────────────────────────────────────
+
+/** Read every persisted search context, dropping expired entries and past check-ins */
+async function loadSearches () {
+  const all   = await chrome.storage.local.get(null);
+  const today = new Date().toISOString().slice(0, 10);
+
+  searches = Object.keys(all)
+    .filter(k => k.startsWith(CACHE_KEY_PREFIX))
+    .map(k => {
+      const contextKey = k.slice(CACHE_KEY_PREFIX.length);
+      const params = parseSearchContextKey(contextKey);
+      const saved  = all[k];
+      if (!params || !saved?.entries) return null;
+
+      const entries = {};
+      for (const [key, entry] of Object.entries(saved.entries)) {
+        if (!entry.stats || key.split('/')[0] < today) continue;
+        if (Date.now() - entry.fetchedAt > CACHE_MAX_AGE_MS) continue;
+        entries[key] = entry;
+      }
+      return { contextKey, params, savedAt: saved.savedAt || 0, entries, history: saved.history || {} };
+    })
+    .filter(s => s && Object.keys(s.entries).length > 0)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/** Searches that differ only in the party share a group (the Guests control) */
+function groupKey (p) {
+  return [p.dest, p.destId, p.destType, p.filters, p.order, p.selectedCurrency, p.property].join('|');
+}
+
+function searchLabel (p) {
+  const dest = contextName(p).replace(/\b\w/g, c => c.toUpperCase()) || 'Search';
+  const extras = [
+    p.filters ? 'filtered' : '',
+    p.order ? `sorted by ${p.order}` : '',
+    p.selectedCurrency,
+  ].filter(Boolean);
+  return extras.length ? `${dest} (${extras.join(', ')})` : dest;
+}
+
+function partyLabel (p) {
+  const plural = (n, word) => `${n} ${word}${Number(n) === 1 ? '' : 's'}`;
+  const parts = [plural(p.adults, 'adult')];
+  if (Number(p.children)) {
+    const ages = p.ages ? ` (${p.ages.split(',').join(', ')})` : '';
+    parts.push((Number(p.children) === 1 ? '1 child' : `${p.children} children`) + ages);
+  }
+  parts.push(plural(p.rooms, 'room'));
+  return parts.join(' · ');
+}
+
+function currentSearch () {
+  return searches.find(s => s.contextKey === occupancySelect.value) || null;
+}
+
+/** Rebuild the option lists, keeping what is selected where it still exists */
+function fillControls () {
+  const groups = [...new Set(searches.map(s => groupKey(s.params)))];
+  fillSelect(searchSelect, groups.map(g => {
+    const s = searches.find(x => groupKey(x.params) === g);
+    return [g, searchLabel(s.params)];
+  }));
+
+  const inGroup = searches.filter(s => groupKey(s.params) === searchSelect.value);
+  fillSelect(occupancySelect, inGroup.map(s => [s.contextKey, partyLabel(s.params)]));
+
+  // Stay lengths in the data, the most common one first selected
+  const counts = new Map();
+  Object.keys(currentSearch()?.entries || {}).forEach(key => {
+    const [checkin, checkout] = key.split('/');
+    const n = daysBetween(checkin, checkout);
+    counts.set(n, (counts.get(n) || 0) + 1);
+  });
+  const nights  = [...counts.keys()].sort((a, b) => a - b);
+  const common  = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+  const current = Number(nightsSelect.value);
+  fillSelect(nightsSelect, nights.map(n => [String(n), n === 1 ? '1 night' : `${n} nights`]));
+  nightsSelect.value = String(counts.has(current) ? current : common);
+}
+
+function fillSelect (select, options) {
+  const previous = select.value;
+  select.innerHTML = options
+    .map(([value, label]) => `<option value="${esc(value)}">${esc(label)}</option>`)
+    .join('');
+  if (options.some(([value]) => value === previous)) select.value = previous;
+}
+
+// ── Heatmap ───────────────────────────────────────────────────────────────────
+
+/** What a total stay price is divided by for the "Show prices as" control */
+function priceDivisor (params, nights) {
+  if (modeSelect.value === 'total') return 1;
+  if (modeSelect.value === 'night') return nights;
+  return nights * (Number(params.adults) + Number(params.children) || 1);
+}
+
+/** Heat colour for a position 0 (cheapest) … 1 (dearest): green → yellow → orange */
+function heatColor (t) {
+  const stops = [[22, 163, 74], [202, 138, 4], [234, 88, 12]];
+  const [a, b, f] = t < 0.5 ? [stops[0], stops[1], t * 2] : [stops[1], stops[2], t * 2 - 1];
+  const rgb = a.map((c, i) => Math.round(c + (b[i] - c) * f));
+  return `rgba(${rgb.join(', ')}, 0.3)`;
+}
+
+function render () {
+  const search = currentSearch();
+  emptyEl.hidden = Boolean(search);
+  monthsEl.innerHTML = '';
+  hideTip();
+  if (!search) return;
+
+  const nights  = Number(nightsSelect.value);
+  const divisor = priceDivisor(search.params, nights);
+
+  // checkin → { key, entry, price } for the chosen stay length
+  const days = new Map();
+  for (const [key, entry] of Object.entries(search.entries)) {
+    const [checkin, checkout] = key.split('/');
+    if (daysBetween(checkin, checkout) !== nights) continue;
+    days.set(checkin, { key, entry, price: entry.stats.min / divisor });
+  }
+  const sorted = [...days.values()].map(d => d.price).sort((a, b) => a - b);
+  const rank   = price => sorted.length > 1 ? sorted.indexOf(price) / (sorted.length - 1) : 0;
+
+  const currency = days.values().next().value?.entry.stats.currency;
+  document.getElementById('scaleLow').textContent  = sorted.length ? money(sorted[0], currency) : '';
+  document.getElementById('scaleHigh').textContent = sorted.length ? money(sorted.at(-1), currency) : '';
+
+  const checkins = [...days.keys()].sort();
+  if (!checkins.length) return;
+  let month = checkins[0].slice(0, 7);
+  const last = checkins.at(-1).slice(0, 7);
+  for (let i = 0; i < MAX_MONTHS && month <= last; i++) {
+    monthsEl.insertAdjacentHTML('beforeend', renderMonth(month, days, rank));
+    month = addDays(month + '-01', 32).slice(0, 7);
+  }
+
+  if (pinnedKey) {
+    const cell = monthsEl.querySelector(`[data-key="${pinnedKey}"]`);
+    if (cell) showTip(cell, true); else pinnedKey = null;
+  }
+}
+
+/** One month ("2026-03") as a Monday-first table of check-in days */
+function renderMonth (month, days, rank) {
+  const first  = month + '-01';
+  const offset = (new Date(first + 'T00:00:00Z').getUTCDay() + 6) % 7;
+  const cells  = Array(offset).fill('<td></td>');
+
+  for (let date = first; date.startsWith(month); date = addDays(date, 1)) {
+    const day = days.get(date);
+    const num = `<span class="day-num">${Number(date.slice(8))}</span>`;
+    if (!day) { cells.push(`<td class="day">${num}</td>`); continue; }
+
+    const stale = Date.now() - day.entry.fetchedAt > cacheTtlHours * 3_600_000;
+    cells.push(`
+      <td class="day${stale ? ' is-stale' : ''}" data-key="${day.key}" tabindex="0"
+          style="background:${heatColor(rank(day.price))}">
+        ${num}
+        <span class="day-price">${money(day.price, day.entry.stats.currency, true)}</span>
+      </td>`);
+  }
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+  const title = new Date(first + 'T00:00:00Z').toLocaleDateString('en-GB', {
+    month: 'long', year: 'numeric', timeZone: 'UTC',
+  });
+  return `
+    <section class="month">
+      <h2>${title}</h2>
+      <table>
+        <thead><tr>${WEEKDAYS.map(d => `<th scope="col">${d}</th>`).join('')}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </section>`;
+}
+
+// ── Tooltip / zoomed card ─────────────────────────────────────────────────────
+
+function showTip (cell, zoomed) {
+  const search = currentSearch();
+  const key    = cell.dataset.key;
+  const entry  = search?.entries[key];
+  if (!entry) return;
+
+  monthsEl.querySelectorAll('.is-pinned').forEach(el => el.classList.remove('is-pinned'));
+  cell.classList.toggle('is-pinned', zoomed);
+  tipEl.classList.toggle('is-zoomed', zoomed);
+  tipEl.innerHTML = tipHtml(search, key, entry, zoomed);
+  tipEl.hidden = false;
+
+  // Beside the day, flipped / clamped to stay inside the window
+  const rect = cell.getBoundingClientRect();
+  const tip  = tipEl.getBoundingClientRect();
+  let left = rect.right + 8;
+  if (left + tip.width > window.innerWidth - 8) left = rect.left - tip.width - 8;
+  const top = Math.min(rect.top, window.innerHeight - tip.height - 8);
+  tipEl.style.left = `${Math.max(8, left)}px`;
+  tipEl.style.top  = `${Math.max(8, top)}px`;
+
+  if (zoomed) tipEl.querySelector('.tip-close').focus();
+}
+
+function hideTip () {
+  tipEl.hidden = true;
+  monthsEl.querySelectorAll('.is-pinned').forEach(el => el.classList.remove('is-pinned'));
+}
+
+function unpin () {
+  pinnedKey = null;
+  hideTip();
+}
+
+function tipHtml (search, key, entry, zoomed) {
+  const [checkin, checkout] = key.split('/');
+  const nights  = daysBetween(checkin, checkout);
+  const stats   = entry.stats;
+  const cur     = stats.currency;
+  const divisor = priceDivisor(search.params, nights);
+  const row = (label, value) => `
+    <div class="tip-row"><span class="tip-label">${label}</span><span>${value}</span></div>`;
+
+  const rows = [
+    row('Lowest', money(stats.min / divisor, cur)),
+    stats.median !== undefined ? row('Median', money(stats.median / divisor, cur)) : '',
+    zoomed && stats.p25 !== undefined
+      ? row('Middle half', `${money(stats.p25 / divisor, cur)} – ${money(stats.p75 / divisor, cur)}`)
+      : '',
+    row('Average', money(stats.avg / divisor, cur)),
+    row('Highest', money(stats.max / divisor, cur)),
+    row('Hotels', stats.count),
+  ].join('');
+
+  const cheapest = stats.cheapest?.name
+    ? (zoomed && stats.cheapest.url
+      ? `<a class="tip-hotel" href="${esc(stats.cheapest.url)}" target="_blank" rel="noopener">Cheapest: ${esc(stats.cheapest.name)} ↗</a>`
+      : `<div class="tip-note">Cheapest: ${esc(stats.cheapest.name)}</div>`)
+    : '';
+
+  const head = `
+    <div class="tip-title">${formatDay(checkin)} → ${formatDay(checkout)} · ${nights === 1 ? '1 night' : `${nights} nights`}</div>
+    ${rows}
+    ${cheapest}`;
+  if (!zoomed) return head + '<div class="tip-note">Click to zoom in</div>';
+
+  return `
+    <button type="button" class="tip-close" aria-label="Close">×</button>
+    ${head}
+    ${histogram(stats.histogram)}
+    ${trend(search.history[key])}
+    ${otherStays(search, checkin, nights)}
+    <div class="tip-note">Saved ${new Date(entry.fetchedAt).toLocaleString()}</div>
+    <form class="tip-open">
+      <label class="tip-label" for="tipCheckout">Check-out</label>
+      <input type="date" id="tipCheckout" value="${checkout}" min="${addDays(checkin, 1)}" required>
+      <button type="submit">Open on Booking.com</button>
+    </form>`;
+}
+
+/** Bar chart of how the prices spread between min and max */
+function histogram (bins) {
+  if (!bins) return '';
+  const peak  = Math.max(...bins) || 1;
+  const width = 280;
+  const height = 36;
+  const barW  = width / bins.length;
+  const bars  = bins.map((n, i) => {
+    const h = n ? Math.max(2, n / peak * height) : 0;
+    return `<rect x="${(i * barW + 1).toFixed(1)}" y="${(height - h).toFixed(1)}"
+                  width="${(barW - 2).toFixed(1)}" height="${h.toFixed(1)}" rx="1"/>`;
+  }).join('');
+  return `<svg class="tip-hist" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">${bars}</svg>`;
+}
+
+/** Line of the lowest price over time, once a date pair was seen twice */
+function trend (points) {
+  if (!points || points.length < 2) return '';
+  const values = points.map(p => p[1]);
+  const width  = 280;
+  const height = 36;
+  const lo     = Math.min(...values);
+  const span   = Math.max(...values) - lo || 1;
+  const step   = width / (values.length - 1);
+  const pts    = values.map((v, i) =>
+    `${(i * step).toFixed(1)},${(height - 2 - (v - lo) / span * (height - 4)).toFixed(1)}`).join(' ');
+  return `
+    <svg class="tip-trend" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      <polyline points="${pts}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+    </svg>
+    <div class="tip-note">Lowest price over ${points.length} checks</div>`;
+}
+
+/** Lowest price of the other saved stay lengths from the same check-in */
+function otherStays (search, checkin, nights) {
+  const stays = Object.entries(search.entries)
+    .filter(([key]) => key.startsWith(checkin + '/'))
+    .map(([key, entry]) => [daysBetween(checkin, key.split('/')[1]), entry.stats])
+    .filter(([n]) => n !== nights)
+    .sort((a, b) => a[0] - b[0]);
+  if (!stays.length) return '';
+  return `
+    <div class="tip-stays">
+      ${stays.map(([n, stats]) => {
+        const d = priceDivisor(search.params, n);
+        return `<div class="tip-row"><span class="tip-label">${n === 1 ? '1 night' : `${n} nights`}</span>
+                <span>${money(stats.min / d, stats.currency)}</span></div>`;
+      }).join('')}
+    </div>`;
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+
+monthsEl.addEventListener('mouseover', e => {
+  const cell = e.target.closest('[data-key]');
+  if (cell && !pinnedKey) showTip(cell, false);
+});
+monthsEl.addEventListener('mouseout', e => {
+  const cell = e.target.closest('[data-key]');
+  if (cell && !pinnedKey && !cell.contains(e.relatedTarget)) hideTip();
+});
+monthsEl.addEventListener('focusin', e => {
+  const cell = e.target.closest('[data-key]');
+  if (cell && !pinnedKey) showTip(cell, false);
+});
+monthsEl.addEventListener('click', e => {
+  const cell = e.target.closest('[data-key]');
+  if (!cell) return;
+  e.stopPropagation();
+  pinnedKey = cell.dataset.key;
+  showTip(cell, true);
+});
+monthsEl.addEventListener('keydown', e => {
+  const cell = e.target.closest('[data-key]');
+  if (!cell || (e.key !== 'Enter' && e.key !== ' ')) return;
+  e.preventDefault();
+  pinnedKey = cell.dataset.key;
+  showTip(cell, true);
+});
+
+tipEl.addEventListener('click', e => {
+  e.stopPropagation();
+  if (e.target.closest('.tip-close')) {
+    const cell = monthsEl.querySelector(`[data-key="${pinnedKey}"]`);
+    unpin();
+    cell?.focus();
+  }
+});
+tipEl.addEventListener('submit', e => {
+  e.preventDefault();
+  const search   = currentSearch();
+  const checkin  = pinnedKey?.split('/')[0];
+  const checkout = tipEl.querySelector('#tipCheckout').value;
+  if (!search || !checkin || !checkout || checkout <= checkin) return;
+  chrome.tabs.create({ url: buildSearchUrl(search.params, checkin, checkout) });
+});
+
+document.addEventListener('click', () => { if (pinnedKey) unpin(); });
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape' && pinnedKey) unpin();
+});
+
+searchSelect.addEventListener('change', () => { pinnedKey = null; fillControls(); render(); });
+occupancySelect.addEventListener('change', () => { pinnedKey = null; fillControls(); render(); });
+nightsSelect.addEventListener('change', () => { pinnedKey = null; render(); });
+modeSelect.addEventListener('change', render);
+
+// Prices fetched while the page is open show up as they are saved
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !Object.keys(changes).some(k => k.startsWith(CACHE_KEY_PREFIX))) return;
+  loadSearches().then(() => { fillControls(); render(); });
+});
+
+self.BPCSettings.load().then(s => {
+  modeSelect.value = s.displayMode;
+  cacheTtlHours    = s.cacheTtlHours;
+  loadSearches().then(() => { fillControls(); render(); });
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function money (n, currency, compact = false) {
+  return formatPrice(n, currency, { locale: navigator.language, compact });
+}
+
+/** "2026-02-21" → "Sat 21 Feb" */
+function formatDay (iso) {
+  return new Date(iso + 'T00:00:00Z').toLocaleDateString('en-GB', {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC',
+  });
+}
+
+/** HTML-escape a string for innerHTML */
+function esc (str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
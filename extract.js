@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – price extraction
+ *
+ * Pulls one price record per property out of a search-results document (or
+ * one per room option out of a property page) and reduces them to
+ * min / avg / max statistics. The selectors come from the active selector
+ * pack (selectors.js). Shared by the content script
+ * (current page and homepage fetches) and the offscreen document that parses
+ * the pages fetched by the background service worker.
+ */
+self.BPCExtract = (function () {
+
+  const { parsePrice, detectCurrency, pageLocale } = self.BPCPrice;
+  const { get: selector } = self.BPCSelectors;
+
+  /** Ways a search-results page's prices are found, in the order they are tried */
+  const STRATEGIES = ['cards', 'pageSelectors', 'jsonLd', 'nextData'];
+
+  /**
+   * Extracts one record per property from a document (current page or a
+   * fetched HTML doc):
+   *
+   *   { propertyId, name, url, price, stars, score }
+   *
+   * Property cards come first; when a layout has none, a waterfall of
+   * page-wide selectors and the embedded JSON payloads yield anonymous records
+   * (propertyId null) so a price is still shown.
+   *
+   * Prices are read in the document's locale; `selectedCurrency` (the page's
+   * selected_currency) settles ambiguous symbols such as "$" or "kr".
+   * `strategy` names the one of STRATEGIES that found the prices (null =
+   * none did).
+   *
+   * @returns {{ properties: object[], currency: { symbol, code } | null, strategy: string | null }}
+   */
+  function extractPropertiesFromDoc (doc, { selectedCurrency = null } = {}) {
+    const reader    = priceReader(doc, selectedCurrency);
+    const readPrice = el => reader.read(el);
+    let records  = [];
+    let strategy = 'cards';
+
+    doc.querySelectorAll(selector('propertyCard')).forEach(card => {
+      const price = readPrice(firstMatch(card, selector('cardPrice')));
+      if (!price) return;
+
+      const link = card.querySelector(selector('cardLink'));
+      const url  = propertyUrl(link?.getAttribute('href'));
+      const name = (card.querySelector(selector('cardTitle')) || link)?.textContent.trim() || null;
+      records.push({
+        propertyId: propertyIdFromUrl(url) || name,
+        name,
+        url,
+        price,
+        stars: parseStars(card),
+        score: parseScore(card),
+      });
+    });
+
+    if (records.length === 0) {
+      strategy = 'pageSelectors';
+      for (const sel of selector('pagePrice')) {
+        try {
+          doc.querySelectorAll(sel).forEach(el => {
+            const p = readPrice(el);
+            if (p) records.push(anonymous(p));
+          });
+          // If we found a reasonable number of prices, stop trying other selectors
+          if (records.length >= 3) break;
+        } catch (_) {}
+      }
+    }
+
+    // Fallback: JSON-LD structured data
+    if (records.length === 0) {
+      strategy = 'jsonLd';
+      records  = extractFromJsonLD(doc);
+    }
+
+    // Fallback: Next.js SSR data embedded in __NEXT_DATA__
+    if (records.length === 0) {
+      strategy = 'nextData';
+      records  = extractFromNextData(doc).map(anonymous);
+    }
+
+    // The JSON fallbacks carry no price text – assume the selected currency
+    const currency = reader.currency || detectCurrency(null, selectedCurrency);
+
+    return { properties: dedupeProperties(records), currency, strategy: records.length ? strategy : null };
+  }
+
+  /**
+   * Extracts one record per room option from a property page's availability
+   * table, in the same shape as property records (named after the room, all
+   * pointing at the property page), so the same statistics apply.
+   *
+   * `soldOut` is true when the page says the property has no availability
+   * for its dates, or shows the table without a single price – as opposed
+   * to a page whose layout simply wasn't recognised. `strategy` is
+   * 'roomTable' when prices were found (null otherwise).
+   *
+   * @returns {{ properties: object[], currency: { symbol, code } | null, soldOut: boolean, strategy: string | null }}
+   */
+  function extractRoomsFromDoc (doc, { selectedCurrency = null } = {}) {
+    const reader = priceReader(doc, selectedCurrency);
+    const url    = propertyUrl(doc.querySelector('link[rel="canonical"]')?.getAttribute('href'));
+    const rows   = doc.querySelectorAll(selector('roomRow'));
+    const rooms  = [];
+    let name = null;
+
+    rows.forEach((row, i) => {
+      // A room's name is only in the first row of its options
+      name = firstMatch(row, selector('roomName'))?.textContent.trim() || name;
+      const price = reader.read(firstMatch(row, selector('roomPrice')));
+      if (!price) return;
+      rooms.push({ propertyId: `room:${i}`, name, url, price, stars: null, score: null });
+    });
+
+    return {
+      properties: rooms,
+      currency:   reader.currency || detectCurrency(null, selectedCurrency),
+      soldOut:    rooms.length === 0 && (rows.length > 0 || Boolean(doc.querySelector(selector('soldOut')))),
+      strategy:   rooms.length ? 'roomTable' : null,
+    };
+  }
+
+  /**
+   * Reads prices from element texts in a document's locale. The first price
+   * read fixes `currency` for the rest of the document.
+   */
+  function priceReader (doc, selectedCurrency) {
+    const locale = pageLocale(doc);
+    return {
+      currency: null,
+      read (el) {
+        const text = el?.textContent;
+        if (!text) return 0;
+        const found = this.currency || detectCurrency(text, selectedCurrency);
+        const price = parsePrice(text, { locale, currency: found });
+        if (price && !this.currency) this.currency = found;
+        return price;
+      },
+    };
+  }
+
+  /**
+   * One record per property, keeping its lowest price. Anonymous records
+   * can't be told apart, so they are de-duplicated by price instead.
+   */
+  function dedupeProperties (records) {
+    const byId = new Map();
+    records.forEach(r => {
+      const id = r.propertyId ?? `price:${r.price}`;
+      const known = byId.get(id);
+      if (!known || r.price < known.price) byId.set(id, r);
+    });
+    return [...byId.values()];
+  }
+
+  function anonymous (price) {
+    return { propertyId: null, name: null, url: null, price, stars: null, score: null };
+  }
+
+  function firstMatch (root, selectors) {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  /** Absolute property-page URL without the search's query string */
+  function propertyUrl (href) {
+    if (!href) return null;
+    try {
+      const u = new URL(href, 'https://www.booking.com');
+      return u.origin + u.pathname;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** "https://www.booking.com/hotel/nl/foo.en-gb.html" → "nl/foo" */
+  function propertyIdFromUrl (url) {
+    const m = url && url.match(/\/hotel\/([a-z]{2})\/([^/.]+)/);
+    return m ? `${m[1]}/${m[2]}` : null;
+  }
+
+  /** Star (or square) rating of a property card, or null */
+  function parseStars (card) {
+    const el = card.querySelector(selector('cardStars'));
+    if (!el) return null;
+    const label = (el.getAttribute('aria-label') || '').match(/\d/);
+    return label ? Number(label[0]) : (el.children.length || null);
+  }
+
+  /** Guest review score (e.g. 8.4) of a property card, or null */
+  function parseScore (card) {
+    const el = card.querySelector(selector('cardScore'));
+    const m  = el?.textContent.match(/\b(10|\d)[.,](\d)\b/);
+    return m ? Number(`${m[1]}.${m[2]}`) : null;
+  }
+
+  /** Pull prices from Next.js __NEXT_DATA__ SSR payload */
+  function extractFromNextData (doc) {
+    const prices = [];
+    const script = doc.getElementById('__NEXT_DATA__');
+    if (!script) return prices;
+    try {
+      const root = JSON.parse(script.textContent);
+      collectPricesFromObject(root, prices, 0);
+    } catch (_) {}
+    return prices;
+  }
+
+  /**
+   * Recursively walk a JSON object looking for keys that are price-like
+   * (e.g. "price", "amount", "rate", "lowestPrice").
+   */
+  function collectPricesFromObject (obj, prices, depth) {
+    if (depth > 12 || prices.length > 60 || obj === null) return;
+    if (typeof obj === 'object') {
+      for (const [key, val] of Object.entries(obj)) {
+        if (/price|amount|rate|lowestPrice|minPrice/i.test(key)) {
+          const n = parseFloat(val);
+          if (n > 1 && n < 999_999) prices.push(n);
+        }
+        if (typeof val === 'object') collectPricesFromObject(val, prices, depth + 1);
+      }
+    }
+  }
+
+  /** Pull property records out of schema.org JSON-LD blocks */
+  function extractFromJsonLD (doc) {
+    const records = [];
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(el => {
+      try {
+        const data  = JSON.parse(el.textContent);
+        const items = Array.isArray(data) ? data : [data];
+        items.forEach(item => {
+          const offers = item.offers
+            ? (Array.isArray(item.offers) ? item.offers : [item.offers])
+            : [];
+          const url = propertyUrl(item.url);
+          offers.forEach(o => {
+            const p = parseFloat(o.price || o.lowPrice || 0);
+            if (!(p > 0)) return;
+            records.push({
+              ...anonymous(p),
+              propertyId: propertyIdFromUrl(url) || item.name || null,
+              name:       item.name || null,
+              url,
+              score:      Number(item.aggregateRating?.ratingValue) || null,
+            });
+          });
+        });
+      } catch (_) {}
+    });
+    return records;
+  }
+
+  // ─── Bot-check detection ────────────────────────────────────────────────────
+
+  /**
+   * Booking.com answers suspected bots with HTTP 200 and a challenge page
+   * (AWS WAF CAPTCHA / JS challenge) instead of results. Parsed as-is that
+   * would look like "no prices", so it has to be recognised first.
+   */
+  function isChallengePage (doc) {
+    if (doc.querySelector(selector('propertyCard'))) return false;
+
+    const title = (doc.title || '').toLowerCase();
+    if (/captcha|robot|are you (a )?human|access denied|just a moment/.test(title)) return true;
+
+    if (doc.querySelector(
+      '#challenge-container, #captcha-container, [id*="captcha"], ' +
+      'form[action*="captcha"], iframe[src*="captcha"]'
+    )) return true;
+
+    return Array.from(doc.querySelectorAll('script')).some(el =>
+      /awswaf|captcha\.js|challenge\.js/i.test(el.getAttribute('src') || '') ||
+      /gokuProps|AwsWafIntegration/.test(el.textContent.slice(0, 4000))
+    );
+  }
+
+  // ─── Statistics ─────────────────────────────────────────────────────────────
+
+  const HISTOGRAM_BINS = 8;
+  const IQR_FENCE      = 1.5;    // Tukey fences: Q1 − 1.5·IQR … Q3 + 1.5·IQR
+  const TRIM_SHARE     = 0.1;    // trimmed mean drops this share at each end
+
+  /**
+   * Statistics over property records. Prices outside the IQR fences (a
+   * mis-scraped number, a lone luxury suite) are rejected first when there
+   * are at least 4 of them; everything else describes the remaining prices:
+   *
+   *   { min, max, avg, trimmedAvg, median, p25, p75,
+   *     count,       properties found (before rejection)
+   *     outliers,    prices rejected
+   *     histogram,   HISTOGRAM_BINS counts spread evenly over min…max
+   *     cheapest }   { name, url, price, stars, score } | null (anonymous prices only)
+   */
+  function calcStats (properties) {
+    const all    = properties.map(p => p.price).sort((a, b) => a - b);
+    const sorted = rejectOutliers(all);
+    const lo     = sorted[0];
+    const hi     = sorted[sorted.length - 1];
+    const sum    = sorted.reduce((acc, v) => acc + v, 0);
+    const c      = properties.find(p => p.name && p.price === lo);
+    return {
+      min:        lo,
+      max:        hi,
+      avg:        Math.round(sum / sorted.length),
+      trimmedAvg: Math.round(trimmedMean(sorted)),
+      median:     Math.round(quantile(sorted, 0.5)),
+      p25:        Math.round(quantile(sorted, 0.25)),
+      p75:        Math.round(quantile(sorted, 0.75)),
+      count:      all.length,
+      outliers:   all.length - sorted.length,
+      histogram:  histogram(sorted, lo, hi),
+      cheapest:   c ? { name: c.name, url: c.url, price: c.price, stars: c.stars, score: c.score } : null,
+    };
+  }
+
+  /** Linear-interpolated quantile (0…1) of ascending values */
+  function quantile (sorted, q) {
+    const pos  = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const next = sorted[base + 1] ?? sorted[base];
+    return sorted[base] + (next - sorted[base]) * (pos - base);
+  }
+
+  /** Ascending values inside the IQR fences (all of them below 4 values) */
+  function rejectOutliers (sorted) {
+    if (sorted.length < 4) return sorted;
+    const q1    = quantile(sorted, 0.25);
+    const q3    = quantile(sorted, 0.75);
+    const reach = (q3 - q1) * IQR_FENCE;
+    const kept  = sorted.filter(v => v >= q1 - reach && v <= q3 + reach);
+    return kept.length ? kept : sorted;
+  }
+
+  function trimmedMean (sorted) {
+    const cut  = Math.floor(sorted.length * TRIM_SHARE);
+    const kept = sorted.slice(cut, sorted.length - cut);
+    return kept.reduce((acc, v) => acc + v, 0) / kept.length;
+  }
+
+  function histogram (sorted, lo, hi) {
+    const bins = new Array(HISTOGRAM_BINS).fill(0);
+    const span = hi - lo || 1;
+    sorted.forEach(v => {
+      bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - lo) / span * HISTOGRAM_BINS))]++;
+    });
+    return bins;
+  }
+
+  return {
+    STRATEGIES, extractPropertiesFromDoc, extractRoomsFromDoc, dedupeProperties, propertyIdFromUrl, calcStats,
+    isChallengePage,
+  };
+
+})();
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Offscreen document: extracts property prices (or, for a property page, room
+ * prices) from HTML fetched by the background service worker, using the same
+ * extractors as the content script, with the selector pack the worker sends
+ * along (this document can't read storage). The worker computes the
+ * statistics (it merges several result pages per date); `parseMs` feeds its
+ * diagnostics.
+ */
+
+const { extractPropertiesFromDoc, extractRoomsFromDoc, isChallengePage } = self.BPCExtract;
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== 'offscreen') return;
+
+  if (msg.type === 'bpc:parse-prices') {
+    self.BPCSelectors.use(msg.pack);
+    const started = performance.now();
+    const doc = new DOMParser().parseFromString(msg.html, 'text/html');
+    if (isChallengePage(doc)) {
+      sendResponse({ properties: [], currency: null, challenge: true, parseMs: performance.now() - started });
+      return;
+    }
+    const { selectedCurrency, property } = msg;
+    const extract = property ? extractRoomsFromDoc : extractPropertiesFromDoc;
+    const result  = extract(doc, { selectedCurrency });
+    sendResponse({ soldOut: false, ...result, challenge: false, parseMs: performance.now() - started });
+  }
+});
@@ -0,0 +1,518 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – options page
+ *
+ * Settings: a form for every setting of the schema in settings.js, saved
+ * field by field once it validates.
+ *
+ * Selector packs (see selectors.js): shows the pack in use, imports a pack
+ * from a file, and only activates it once it was validated on an open
+ * Booking.com tab – the tab's content script measures what the imported
+ * pack finds next to what the pack in use finds.
+ *
+ * Diagnostics: the worker's extraction counters (see background.js), with a
+ * JSON report to attach to bug tickets.
+ *
+ * Page snapshots (see snapshots.js): the record / replay switch and the
+ * recorded pages, which can be exported and imported to share a broken page.
+ */
+
+const { GROUPS, SCHEMA, DEFAULTS, load: loadSettings, onChange: onSettingsChange, save: saveSettings, reset: resetSettings } = self.BPCSettings;
+const { STORAGE_KEY, ready, checkPack, builtinPack } = self.BPCSelectors;
+const {
+  MODE_KEY, KEY_PREFIX, MAX_SNAPSHOTS, MAX_BYTES, getMode, ready: snapshotsReady, list: listSnapshots,
+  save: saveSnapshots, remove: removeSnapshots, clear: clearSnapshots, isSnapshot,
+} = self.BPCSnapshots;
+
+/** What a validation compares, in report order */
+const CHECKS = [
+  ['propertyCards', 'Property cards'],
+  ['prices',        'Prices read'],
+  ['calendars',     'Open date pickers'],
+  ['dateCells',     'Days in the date picker'],
+  ['hotelFields',   'Compare details of the first card'],
+];
+
+const settingsForm   = document.getElementById('settingsForm');
+const settingsStatus = document.getElementById('settingsStatus');
+const activeName     = document.getElementById('activeName');
+const activeMeta     = document.getElementById('activeMeta');
+const resetBtn       = document.getElementById('resetPack');
+const packFile       = document.getElementById('packFile');
+const candidateEl    = document.getElementById('candidate');
+const candidateName  = document.getElementById('candidateName');
+const candidateMeta  = document.getElementById('candidateMeta');
+const problemsEl     = document.getElementById('problems');
+const controlsEl     = document.getElementById('validateControls');
+const tabSelect      = document.getElementById('tabSelect');
+const activateBtn    = document.getElementById('activatePack');
+const reportEl       = document.getElementById('report');
+const verdictEl      = document.getElementById('verdict');
+const diagSince      = document.getElementById('diagSince');
+const diagStrategies = document.getElementById('diagStrategies');
+const diagFetches    = document.getElementById('diagFetches');
+const diagDetail     = document.getElementById('diagDetail');
+const diagErrors     = document.getElementById('diagErrors');
+
+/** Extraction strategies (BPCExtract.STRATEGIES and the room table), in the order they are tried */
+const STRATEGY_LABELS = [
+  ['cards',         'Property cards (DOM selectors)'],
+  ['pageSelectors', 'Page-wide price selectors (DOM)'],
+  ['jsonLd',        'JSON-LD'],
+  ['nextData',      '__NEXT_DATA__'],
+  ['roomTable',     'Hotel page room table (DOM selectors)'],
+];
+
+/** Worker fetch results (see classifyResponse in background.js) */
+const OUTCOME_LABELS = [
+  ['ok',        'Prices found'],
+  ['empty',     'No prices'],
+  ['soldOut',   'Sold out'],
+  ['blocked',   'Refused (rate limit)'],
+  ['challenge', 'Bot check'],
+  ['failed',    'Network error'],
+];
+
+/** Errors listed on the page (the export has them all) */
+const ERRORS_SHOWN = 20;
+
+const snapshotModes   = document.getElementById('snapshotModes');
+const snapshotSummary = document.getElementById('snapshotSummary');
+const snapshotList    = document.getElementById('snapshotList');
+const snapshotFile    = document.getElementById('snapshotFile');
+
+/** Pack read from the imported file, waiting for validation (null = none) */
+let candidate = null;
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+
+/** One form row per setting, grouped as GROUPS lists them */
+function buildSettingsForm () {
+  settingsForm.innerHTML = GROUPS.map(([group, title]) => `
+    <div class="settings-group">
+      <h3>${title}</h3>
+      ${Object.entries(SCHEMA).filter(([, f]) => f.group === group).map(([key, field]) => `
+        <div class="setting" data-key="${key}">
+          <label class="setting-label" for="setting-${key}">${esc(field.label)}</label>
+          <div class="setting-control">${settingControl(key, field)}</div>
+          <div class="setting-hint">${esc(field.hint)}${defaultNote(field)}</div>
+          <p class="setting-error" hidden></p>
+        </div>`).join('')}
+    </div>`).join('');
+}
+
+function settingControl (key, field) {
+  const id = `setting-${key}`;
+  switch (field.type) {
+    case 'boolean':
+      return `<input type="checkbox" id="${id}">`;
+    case 'integer':
+      return `<input type="number" id="${id}" min="${field.min}" max="${field.max}" step="1"> ${esc(field.unit || '')}`;
+    case 'choice':
+      return `<select id="${id}">${field.choices.map(([v, label]) => `<option value="${esc(String(v))}">${esc(label)}</option>`).join('')}</select>`;
+    case 'bands':
+      return `<input type="number" id="${id}" data-band="low" min="1" step="1" placeholder="green" aria-label="Green up to">
+        <input type="number" data-band="high" min="1" step="1" placeholder="orange" aria-label="Orange from">`;
+  }
+  return '';
+}
+
+/** " · default …" after a setting's hint */
+function defaultNote (field) {
+  switch (field.type) {
+    case 'boolean': return ` · default ${field.default ? 'on' : 'off'}`;
+    case 'integer': return ` · default ${field.default}${field.unit ? ` ${esc(field.unit)}` : ''}`;
+    case 'choice':  return ` · default ${esc(field.choices.find(([v]) => v === field.default)[1])}`;
+  }
+  return '';
+}
+
+/** Show settings in their controls */
+function fillSettings (values) {
+  for (const [key, value] of Object.entries(values)) {
+    const row = settingsForm.querySelector(`.setting[data-key="${key}"]`);
+    const field = SCHEMA[key];
+    if (field.type === 'boolean') row.querySelector('input').checked = value;
+    else if (field.type === 'bands') {
+      row.querySelector('[data-band="low"]').value  = value.low ?? '';
+      row.querySelector('[data-band="high"]').value = value.high ?? '';
+    } else row.querySelector('input, select').value = String(value);
+    showProblem(row, '');
+  }
+}
+
+/** A setting's value as its control holds it (typed, possibly invalid) */
+function controlValue (row, field) {
+  const number = input => (input.value.trim() === '' ? null : Number(input.value));
+  switch (field.type) {
+    case 'boolean': return row.querySelector('input').checked;
+    case 'integer': return number(row.querySelector('input'));
+    case 'choice':  return field.choices.find(([v]) => String(v) === row.querySelector('select').value)?.[0];
+    case 'bands':
+      return { low: number(row.querySelector('[data-band="low"]')), high: number(row.querySelector('[data-band="high"]')) };
+  }
+}
+
+function showProblem (row, problem) {
+  const error = row.querySelector('.setting-error');
+  error.textContent = problem;
+  error.hidden = !problem;
+}
+
+// Each setting is saved on its own as soon as it validates
+settingsForm.addEventListener('change', async e => {
+  const row = e.target.closest('.setting');
+  if (!row) return;
+  const key = row.dataset.key;
+  const problems = await saveSettings({ [key]: controlValue(row, SCHEMA[key]) });
+  showProblem(row, problems[key] || '');
+  settingsStatus.textContent = problems[key] ? '' : 'Saved.';
+});
+
+document.getElementById('resetSettings').addEventListener('click', async () => {
+  if (!confirm('Reset every setting to its default?')) return;
+  await resetSettings();
+  fillSettings(DEFAULTS);
+  settingsStatus.textContent = 'All settings are back to their defaults.';
+});
+
+// Follow changes made in the popup (or another options tab)
+onSettingsChange(fillSettings);
+
+buildSettingsForm();
+loadSettings().then(fillSettings);
+
+// ── Pack in use ───────────────────────────────────────────────────────────────
+
+async function renderActivePack () {
+  const [pack, { [STORAGE_KEY]: saved }] = await Promise.all([ready(), chrome.storage.local.get(STORAGE_KEY)]);
+  const imported = Boolean(saved) && !checkPack(saved).length;   // else the built-in pack is in use
+  activeName.textContent = pack.name || 'Unnamed pack';
+  activeMeta.textContent = imported
+    ? `version ${pack.version} · imported ${new Date(saved.importedAt).toLocaleDateString()}`
+    : `version ${pack.version} · comes with the extension`;
+  resetBtn.hidden = !imported;
+}
+
+document.getElementById('downloadPack').addEventListener('click', async () => {
+  const pack = await ready();
+  const { importedAt, ...clean } = pack;
+  downloadJson(clean, `bpc-selector-pack-${pack.version}.json`);
+});
+
+resetBtn.addEventListener('click', async () => {
+  await chrome.storage.local.remove(STORAGE_KEY);
+});
+
+// ── Import and validation ─────────────────────────────────────────────────────
+
+document.getElementById('importPack').addEventListener('click', () => packFile.click());
+
+packFile.addEventListener('change', async () => {
+  const file = packFile.files[0];
+  packFile.value = '';
+  if (!file) return;
+
+  let pack = null;
+  try {
+    pack = JSON.parse(await file.text());
+  } catch (_) {}
+  await builtinPack();   // checkPack compares with it
+  const problems = pack ? checkPack(pack) : ['The file is not JSON.'];
+
+  candidate = problems.length ? null : pack;
+  candidateEl.hidden = false;
+  candidateName.textContent = pack?.name || file.name;
+  candidateMeta.textContent = typeof pack?.version === 'string' && pack.version
+    ? `version ${pack.version}${await versionNote(pack.version)}`
+    : '';
+  problemsEl.innerHTML = problems.map(p => `<li>${esc(p)}</li>`).join('');
+  controlsEl.hidden = Boolean(problems.length);
+  reportEl.hidden = true;
+  verdictEl.textContent = '';
+  activateBtn.disabled = true;
+  if (candidate) fillTabs();
+});
+
+/** A note when an imported pack's version doesn't update the pack in use */
+async function versionNote (version) {
+  const { version: current } = await ready();
+  const order = version.localeCompare(current, undefined, { numeric: true });
+  if (order < 0) return ` – older than the pack in use (${current})`;
+  if (order === 0) return ' – same version as the pack in use';
+  return '';
+}
+
+/** List the open Booking.com tabs, the most recently used first */
+async function fillTabs () {
+  const tabs = await chrome.tabs.query({ url: 'https://www.booking.com/*' });
+  tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  tabSelect.innerHTML = tabs.length
+    ? tabs.map(t => `<option value="${t.id}">${esc(t.title || t.url)}</option>`).join('')
+    : '<option value="">Open a Booking.com search to validate on</option>';
+  document.getElementById('validatePack').disabled = !tabs.length;
+}
+
+document.getElementById('validatePack').addEventListener('click', async () => {
+  if (!candidate || !tabSelect.value) return;
+  activateBtn.disabled = true;
+  let report;
+  try {
+    report = await chrome.tabs.sendMessage(Number(tabSelect.value), { type: 'bpc:validate-pack', pack: candidate });
+  } catch (_) {}
+  if (!report) {
+    showVerdict(false, 'That tab did not answer – reload it, or pick a search-results or hotel page.');
+    return;
+  }
+  if (report.problems.length) {
+    showVerdict(false, report.problems.join(' '));
+    return;
+  }
+  renderReport(report);
+});
+
+/**
+ * Compare what both packs found. A pack fails when it finds nothing where
+ * the pack in use finds something; a page where neither finds anything
+ * can't vouch for it.
+ */
+function renderReport ({ active, candidate: found }) {
+  reportEl.hidden = false;
+  reportEl.innerHTML = `
+    <tr><th></th><th>Pack in use</th><th>Imported pack</th></tr>
+    ${CHECKS.map(([key, label]) => `
+      <tr>
+        <td>${label}</td>
+        <td>${active[key]}</td>
+        <td class="${found[key] < active[key] ? 'is-worse' : ''}">${found[key]}</td>
+      </tr>`).join('')}`;
+
+  const lost = CHECKS.filter(([key]) => active[key] > 0 && found[key] === 0).map(([, label]) => label);
+  if (lost.length) {
+    showVerdict(false, `The imported pack finds no ${lost.join(', ').toLowerCase()} on this page.`);
+  } else if (CHECKS.every(([key]) => found[key] === 0)) {
+    showVerdict(false, 'Nothing to check on this page – open a search with its date picker and validate again.');
+  } else {
+    showVerdict(true, 'The imported pack works on this page.');
+    activateBtn.disabled = false;
+  }
+}
+
+function showVerdict (ok, text) {
+  verdictEl.className = `verdict ${ok ? 'is-ok' : 'is-bad'}`;
+  verdictEl.textContent = text;
+}
+
+activateBtn.addEventListener('click', async () => {
+  if (!candidate) return;
+  await chrome.storage.local.set({ [STORAGE_KEY]: { ...candidate, importedAt: Date.now() } });
+  candidate = null;
+  candidateEl.hidden = true;
+});
+
+// Every extension context reloads the pack on change (selectors.js) – follow suit
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[STORAGE_KEY]) ready().then(renderActivePack);
+});
+
+renderActivePack();
+
+// ── Diagnostics ───────────────────────────────────────────────────────────────
+
+async function renderDiagnostics () {
+  const d = await chrome.runtime.sendMessage({ type: 'bpc:get-diagnostics' });
+  if (!d) return;
+  const fetches = Object.values(d.outcomes).reduce((sum, n) => sum + n, 0);
+  diagSince.textContent = `Since ${new Date(d.since).toLocaleString()} · ${fetches} background fetches`
+    + ` · ${d.queue.queued} queued${d.fetchState.paused ? ' · paused by a bot check' : ''}`;
+
+  const used = STRATEGY_LABELS.filter(([key]) => d.strategies[key]);
+  diagStrategies.innerHTML = used.length ? `
+    <tr><th></th><th>Found prices</th><th>Tried in vain</th></tr>
+    ${used.map(([key, label]) => {
+      const { hits, misses } = d.strategies[key];
+      return `
+      <tr>
+        <td>${label}</td>
+        <td class="num ${hits ? '' : 'is-worse'}">${hits}</td>
+        <td class="num">${misses}</td>
+      </tr>`;
+    }).join('')}` : emptyRow('No pages parsed yet.');
+
+  diagFetches.innerHTML = `
+    <tr><th></th><th>Average</th><th>Slowest</th><th>Last</th></tr>
+    ${timingRow('Fetch latency', d.fetchMs)}
+    ${timingRow('Parse time', d.parseMs)}
+    ${OUTCOME_LABELS.map(([key, label]) => `
+      <tr><td>${label}</td><td class="num">${d.outcomes[key]}</td></tr>`).join('')}`;
+
+  const { pages, pageFailures, iframes, last } = d.detail;
+  diagDetail.innerHTML = `
+    <tr><td>Pages fetched</td><td class="num">${pages}</td></tr>
+    <tr><td>Fetches failed</td><td class="num ${pageFailures ? 'is-worse' : ''}">${pageFailures}</td></tr>
+    <tr><td>Iframe renders loaded</td><td class="num">${iframes.loaded}</td></tr>
+    <tr><td>Iframe renders failed</td><td class="num ${iframes.failed ? 'is-worse' : ''}">${iframes.failed}</td></tr>
+    <tr><td>Iframe renders timed out</td><td class="num ${iframes.timedOut ? 'is-worse' : ''}">${iframes.timedOut}</td></tr>
+    ${last ? `
+      <tr><td>Last page</td><td>${esc(last.url)}</td></tr>
+      <tr><td>Popular facilities / facility groups</td><td>${last.popularFacilities} / ${last.facilityGroups}</td></tr>
+      <tr><td>Area categories / photos</td><td>${last.areaInfoCategories} / ${last.photos}</td></tr>
+      <tr><td>Apollo cache</td><td>${last.hasApolloCache ? `yes, ${last.apolloFacilityKeys} facility keys` : 'no'}</td></tr>` : ''}`;
+
+  const errors = Object.values(d.errors).reverse();
+  diagErrors.innerHTML = errors.length ? `
+    <tr><th>When</th><th>Search</th><th>Dates</th><th>Error</th></tr>
+    ${errors.slice(0, ERRORS_SHOWN).map(e => `
+      <tr>
+        <td>${new Date(e.at).toLocaleTimeString()}</td>
+        <td>${esc(e.search)}</td>
+        <td>${esc(e.dates.replace('/', ' → '))}</td>
+        <td><a href="${esc(e.url)}" target="_blank" rel="noopener">${esc(e.error)}</a></td>
+      </tr>`).join('')}` : emptyRow('No errors.');
+}
+
+function timingRow (label, { count, totalMs, maxMs, lastMs }) {
+  const ms = n => count ? `${Math.round(n)} ms` : '–';
+  return `
+    <tr>
+      <td>${label}</td>
+      <td class="num">${ms(count && totalMs / count)}</td>
+      <td class="num">${ms(maxMs)}</td>
+      <td class="num">${ms(lastMs)}</td>
+    </tr>`;
+}
+
+function emptyRow (text) {
+  return `<tr><td class="diag-empty">${text}</td></tr>`;
+}
+
+document.getElementById('exportDiag').addEventListener('click', async () => {
+  const [diagnostics, pack, { [STORAGE_KEY]: saved }] = await Promise.all([
+    chrome.runtime.sendMessage({ type: 'bpc:get-diagnostics' }),
+    ready(),
+    chrome.storage.local.get(STORAGE_KEY),
+  ]);
+  downloadJson({
+    format:       'bpc-diagnostics',
+    createdAt:    new Date().toISOString(),
+    extension:    chrome.runtime.getManifest().version,
+    browser:      navigator.userAgent,
+    selectorPack: { name: pack.name, version: pack.version, imported: Boolean(saved) && !checkPack(saved).length },
+    snapshotMode: getMode(),
+    diagnostics,
+  }, `bpc-diagnostics-${new Date().toISOString().slice(0, 10)}.json`);
+});
+
+document.getElementById('resetDiag').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'bpc:reset-diagnostics' });
+});
+
+// The worker keeps its counters in session storage – follow them live
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes.diagnostics) renderDiagnostics();
+});
+
+renderDiagnostics();
+
+// ── Page snapshots ────────────────────────────────────────────────────────────
+
+async function renderSnapshots () {
+  await snapshotsReady();
+  snapshotModes.querySelector(`input[value="${getMode()}"]`).checked = true;
+
+  const snapshots = await listSnapshots();
+  const bytes = snapshots.reduce((sum, s) => sum + s.html.length, 0);
+  snapshotSummary.textContent =
+    `${snapshots.length} of ${MAX_SNAPSHOTS} recorded · ${formatSize(bytes)} of ${formatSize(MAX_BYTES)}`;
+  document.getElementById('exportSnapshots').disabled = !snapshots.length;
+  document.getElementById('clearSnapshots').disabled  = !snapshots.length;
+
+  snapshotList.innerHTML = snapshots.length ? `
+    <tr><th>Recorded</th><th>Page</th><th>Status</th><th>Size</th><th></th></tr>
+    ${snapshots.map(s => `
+      <tr>
+        <td>${new Date(s.recordedAt).toLocaleString()}</td>
+        <td class="page" title="${esc(s.url)}">${esc(s.url.replace(/^https:\/\/www\.booking\.com/, ''))}</td>
+        <td class="num ${s.status === 200 ? '' : 'is-worse'}">${s.status}</td>
+        <td class="num">${formatSize(s.html.length)}</td>
+        <td><button type="button" data-url="${esc(s.url)}">Delete</button></td>
+      </tr>`).join('')}` : '';
+}
+
+function formatSize (chars) {
+  return chars < 1024 * 1024 ? `${Math.round(chars / 1024)} KB` : `${(chars / 1024 / 1024).toFixed(1)} MB`;
+}
+
+snapshotModes.addEventListener('change', e => {
+  chrome.storage.local.set({ [MODE_KEY]: e.target.value });
+});
+
+snapshotList.addEventListener('click', e => {
+  const url = e.target.closest('button[data-url]')?.dataset.url;
+  if (url) removeSnapshots([url]);
+});
+
+document.getElementById('clearSnapshots').addEventListener('click', () => {
+  if (!confirm('Delete every recorded page snapshot?')) return;
+  clearSnapshots();
+});
+
+document.getElementById('exportSnapshots').addEventListener('click', async () => {
+  downloadJson(
+    { format: 'bpc-page-snapshots', snapshots: await listSnapshots() },
+    `bpc-page-snapshots-${new Date().toISOString().slice(0, 10)}.json`
+  );
+});
+
+document.getElementById('importSnapshots').addEventListener('click', () => snapshotFile.click());
+
+snapshotFile.addEventListener('change', async () => {
+  const file = snapshotFile.files[0];
+  snapshotFile.value = '';
+  if (!file) return;
+
+  let data = null;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (_) {}
+  if (data?.format !== 'bpc-page-snapshots' || !Array.isArray(data.snapshots)) {
+    snapshotSummary.textContent = 'That file is not a snapshot export.';
+    return;
+  }
+  const unreadable = data.snapshots.filter(s => !isSnapshot(s)).length;
+  if (unreadable) {
+    snapshotSummary.textContent = `${unreadable} of the file's snapshots are unreadable – nothing was imported.`;
+    return;
+  }
+  await saveSnapshots(data.snapshots.map(s => ({ ...s, recordedAt: s.recordedAt || Date.now() })));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (Object.keys(changes).some(k => k === MODE_KEY || k.startsWith(KEY_PREFIX))) renderSnapshots();
+});
+
+renderSnapshots();
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Save data as a pretty-printed JSON file */
+function downloadJson (data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const a    = document.createElement('a');
+  a.href     = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/** HTML-escape a string for innerHTML */
+function esc (str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
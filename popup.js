@@ -4,18 +4,202 @@ const dot    = document.getElementById('statusDot');
 const text   = document.getElementById('statusText');
 const detail = document.getElementById('statusDetail');
 
+// The everyday settings (settings.js) – the options page has all of them
+const { load: loadSettings, save: saveSettings } = self.BPCSettings;
+const settings = loadSettings();
+
 // ── Sort-by-price toggle ──────────────────────────────────────────────────────
 
 const sortToggle = document.getElementById('sortByPrice');
 
 // Load saved setting and initialise toggle
-chrome.storage.sync.get({ sortByPrice: true }, ({ sortByPrice }) => {
+settings.then(({ sortByPrice }) => {
   sortToggle.checked = sortByPrice;
 });
 
 // Persist when changed
 sortToggle.addEventListener('change', () => {
-  chrome.storage.sync.set({ sortByPrice: sortToggle.checked });
+  saveSettings({ sortByPrice: sortToggle.checked });
+});
+
+// ── Cache freshness select ────────────────────────────────────────────────────
+
+const ttlSelect = document.getElementById('cacheTtlHours');
+
+settings.then(({ cacheTtlHours }) => {
+  ttlSelect.value = String(cacheTtlHours);
+});
+
+ttlSelect.addEventListener('change', () => {
+  saveSettings({ cacheTtlHours: Number(ttlSelect.value) });
+});
+
+// ── Display mode select ───────────────────────────────────────────────────────
+
+const modeSelect = document.getElementById('displayMode');
+
+settings.then(({ displayMode }) => {
+  modeSelect.value = displayMode;
+});
+
+modeSelect.addEventListener('change', () => {
+  saveSettings({ displayMode: modeSelect.value });
+});
+
+// ── Badge mode select ─────────────────────────────────────────────────────────
+
+const badgeModeSelect = document.getElementById('badgeMode');
+
+settings.then(({ badgeMode }) => {
+  badgeModeSelect.value = badgeMode;
+});
+
+badgeModeSelect.addEventListener('change', () => {
+  saveSettings({ badgeMode: badgeModeSelect.value });
+});
+
+// ── Trimmed-average toggle ────────────────────────────────────────────────────
+
+const trimToggle = document.getElementById('trimmedMean');
+
+settings.then(({ trimmedMean }) => {
+  trimToggle.checked = trimmedMean;
+});
+
+trimToggle.addEventListener('change', () => {
+  saveSettings({ trimmedMean: trimToggle.checked });
+});
+
+// ── Colour strategy ───────────────────────────────────────────────────────────
+
+const strategySelect = document.getElementById('colorStrategy');
+const budgetRow      = document.getElementById('budgetRow');
+const budgetLow      = document.getElementById('budgetLow');
+const budgetHigh     = document.getElementById('budgetHigh');
+const relativeRow    = document.getElementById('relativeRow');
+const relativeSelect = document.getElementById('relativeBand');
+
+/** Legend texts per strategy: [green, yellow, orange] */
+const LEGEND_TEXTS = {
+  quantile: ['Cheapest dates (bottom third)', 'Mid-range dates', 'Most expensive dates (top third)'],
+  budget:   ['Within your budget', 'Between your bands', 'Over your upper band'],
+  relative: ['Cheaper than your searched dates', 'About the same', 'Dearer than your searched dates'],
+};
+
+function showStrategy (strategy) {
+  budgetRow.hidden   = strategy !== 'budget';
+  relativeRow.hidden = strategy !== 'relative';
+  ['legendGreen', 'legendYellow', 'legendOrange'].forEach((id, i) => {
+    document.getElementById(id).textContent = LEGEND_TEXTS[strategy][i];
+  });
+}
+
+settings.then(({ colorStrategy, budgetBands, relativeBand }) => {
+  strategySelect.value = colorStrategy;
+  budgetLow.value      = budgetBands.low ?? '';
+  budgetHigh.value     = budgetBands.high ?? '';
+  relativeSelect.value = String(relativeBand);
+  showStrategy(colorStrategy);
+});
+
+strategySelect.addEventListener('change', () => {
+  saveSettings({ colorStrategy: strategySelect.value });
+  showStrategy(strategySelect.value);
+});
+
+// Bands the schema refuses (green above orange) aren't saved – say why
+[budgetLow, budgetHigh].forEach(input => input.addEventListener('change', async () => {
+  const problems = await saveSettings({
+    budgetBands: { low: Number(budgetLow.value) || null, high: Number(budgetHigh.value) || null },
+  });
+  budgetHigh.setCustomValidity(problems.budgetBands || '');
+  budgetHigh.reportValidity();
+}));
+
+relativeSelect.addEventListener('change', () => {
+  saveSettings({ relativeBand: Number(relativeSelect.value) });
+});
+
+// ── Result-page depth select ──────────────────────────────────────────────────
+
+const depthSelect = document.getElementById('pageDepth');
+
+settings.then(({ pageDepth }) => {
+  depthSelect.value = String(pageDepth);
+});
+
+depthSelect.addEventListener('change', () => {
+  saveSettings({ pageDepth: Number(depthSelect.value) });
+});
+
+// ── Price explorer and options ────────────────────────────────────────────────
+
+document.getElementById('openExplorer').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('explorer.html') });
+});
+
+document.getElementById('openOptions').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// ── Paused state (bot check) ──────────────────────────────────────────────────
+
+const pausedCard = document.getElementById('pausedCard');
+const pausedLink = document.getElementById('pausedLink');
+
+chrome.runtime.sendMessage({ type: 'bpc:get-fetch-state' }).then(state => {
+  if (!state?.paused) return;
+  pausedCard.hidden = false;
+  dot.className = 'status-dot paused';
+  if (state.url) {
+    pausedLink.href   = state.url;
+    pausedLink.hidden = false;
+  }
+}).catch(() => {});
+
+document.getElementById('resumeFetching').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'bpc:resume' }).catch(() => {});
+  pausedCard.hidden = true;
+  dot.className = 'status-dot';
+});
+
+// ── Watchlist ─────────────────────────────────────────────────────────────────
+
+const watchSection = document.getElementById('watchSection');
+const watchListEl  = document.getElementById('watchList');
+
+const { formatPrice } = self.BPCPrice;
+const { contextName } = self.BPCSearch;
+
+function renderWatchlist (watchlist) {
+  watchSection.hidden = watchlist.length === 0;
+  watchListEl.innerHTML = watchlist.map(w => {
+    const name  = w.kind === 'hotel' ? w.hotelName : (contextName(w.params) || 'Search');
+    const below = w.lastPrice !== null && w.lastPrice <= w.target;
+    const last  = w.lastPrice !== null
+      ? `<span class="${below ? 'is-below' : ''}">now ${formatPrice(w.lastPrice, w.currency)}</span>`
+      : 'not checked yet';
+    return `
+      <div class="watch-item">
+        <div class="watch-info">
+          <div class="watch-name">${esc(name)}</div>
+          <div class="watch-meta">${w.checkin} → ${w.checkout}</div>
+          <div class="watch-meta">below ${formatPrice(w.target, w.currency)} · ${last}</div>
+        </div>
+        <button type="button" class="watch-remove" data-id="${esc(w.id)}" aria-label="Stop watching ${esc(name)}">×</button>
+      </div>`;
+  }).join('');
+
+  watchListEl.querySelectorAll('.watch-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'bpc:watch-remove', id: btn.dataset.id }).catch(() => {});
+    });
+  });
+}
+
+chrome.storage.local.get({ watchlist: [] }, ({ watchlist }) => renderWatchlist(watchlist));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.watchlist) renderWatchlist(changes.watchlist.newValue || []);
 });
 
 chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
@@ -72,3 +256,13 @@ function resolveDate (sp, key) {
   }
   return null;
 }
+
+/** HTML-escape a string for innerHTML */
+function esc (str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – price parsing and formatting
+ *
+ * Turns price texts as Booking.com prints them ("€ 1.234", "US$1,234",
+ * "₹ 1,23,456", "CHF 1'234.50", "KWD 12.345") into numbers, recognises their
+ * currency, and formats amounts back with Intl.NumberFormat in the page's
+ * locale. Shared by the content script, the offscreen document and the
+ * background service worker. fixtures/price-strings.json lists the texts it
+ * must read correctly; `node scripts/check-prices.js` checks them.
+ *
+ * A currency is { symbol, code } (code = ISO 4217, e.g. "EUR").
+ */
+self.BPCPrice = (function () {
+
+  /** Anything outside this range is not a room price (ratings, counts, ids) */
+  const MIN_PRICE = 1;
+  const MAX_PRICE = 100_000_000;   // IDR / VND totals run into the millions
+
+  /**
+   * Currency markers other than ISO codes, longest first so "US$" wins over
+   * "$". An array value means the marker is shared – the page's selected
+   * currency picks among them, otherwise the first one is assumed.
+   */
+  const SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['NZ$', 'NZD'], ['HK$', 'HKD'],
+    ['MX$', 'MXN'], ['NT$', 'TWD'], ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'],
+    ['R$', 'BRL'],
+    ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₩', 'KRW'], ['฿', 'THB'],
+    ['₺', 'TRY'], ['₽', 'RUB'], ['₪', 'ILS'], ['₫', 'VND'], ['₱', 'PHP'],
+    ['₴', 'UAH'], ['円', 'JPY'], ['元', 'CNY'],
+    ['zł', 'PLN'], ['Kč', 'CZK'], ['Ft', 'HUF'], ['Rp', 'IDR'], ['RM', 'MYR'],
+    ['lei', 'RON'], ['kr', ['SEK', 'NOK', 'DKK', 'ISK']],
+    ['¥', ['JPY', 'CNY']],
+    ['$', ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN', 'ARS', 'CLP', 'COP']],
+  ];
+
+  const formatters = new Map();
+
+  function formatter (locale, opts) {
+    const id = locale + JSON.stringify(opts);
+    if (!formatters.has(id)) {
+      try {
+        formatters.set(id, new Intl.NumberFormat(locale, opts));
+      } catch (_) {
+        formatters.set(id, new Intl.NumberFormat('en-GB', opts));
+      }
+    }
+    return formatters.get(id);
+  }
+
+  /** Locale a document is written in ("en-gb", "de", …) */
+  function pageLocale (doc) {
+    const lang = doc?.documentElement?.lang || self.navigator?.language || 'en-GB';
+    try {
+      return Intl.getCanonicalLocales(lang)[0];
+    } catch (_) {
+      return 'en-GB';
+    }
+  }
+
+  /** { symbol, code } for an ISO code, with the narrow symbol Intl uses */
+  function currencyInfo (code) {
+    try {
+      const part = formatter('en-GB', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+        .formatToParts(0)
+        .find(p => p.type === 'currency');
+      return { symbol: part ? part.value : code + '\u202f', code };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Digits after the decimal separator a currency uses (JPY 0, EUR 2, KWD 3) */
+  function fractionDigits (code) {
+    try {
+      return formatter('en-GB', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+    } catch (_) {
+      return 2;
+    }
+  }
+
+  function isKnownCurrency (code) {
+    try {
+      return Intl.supportedValuesOf('currency').includes(code);
+    } catch (_) {
+      return true;
+    }
+  }
+
+  /**
+   * Currency a price text is in → { symbol, code }, or null. `hint` is the
+   * ISO code the page was asked to show (selected_currency); it settles
+   * shared symbols such as "$", "¥" and "kr", and is the answer when the
+   * text has no marker at all.
+   */
+  function detectCurrency (text, hint = null) {
+    if (text) {
+      for (const [, code] of text.matchAll(/(?<![A-Za-z])([A-Z]{3})(?![A-Za-z])/g)) {
+        if (isKnownCurrency(code)) return currencyInfo(code);
+      }
+
+      for (const [marker, codes] of SYMBOLS) {
+        const letters = /^[A-Za-z]+$/.test(marker);
+        const found = letters
+          ? new RegExp(`(?<![A-Za-z])${marker}(?![A-Za-z])`).test(text)
+          : text.includes(marker);
+        if (!found) continue;
+        if (!Array.isArray(codes)) return currencyInfo(codes);
+        return currencyInfo(codes.includes(hint) ? hint : codes[0]);
+      }
+    }
+    return hint ? currencyInfo(hint) : null;
+  }
+
+  /** Group and decimal separators of a locale, e.g. de → { group: '.', decimal: ',' } */
+  function separators (locale) {
+    const parts = formatter(locale, {}).formatToParts(12345.6);
+    return {
+      group:   parts.find(p => p.type === 'group')?.value   || ',',
+      decimal: parts.find(p => p.type === 'decimal')?.value || '.',
+    };
+  }
+
+  /**
+   * Price number in a text, or 0.
+   *
+   * Spaces and apostrophes only ever group digits. Of "." and ",", the last
+   * one is the decimal separator when both appear, and a lone one followed by
+   * 1–2 digits is decimal too. A lone one followed by exactly 3 digits is a
+   * thousands separator ("€ 1.234", "$1,234") – unless the currency has three
+   * decimals and it is the locale's decimal separator ("KWD 12.345").
+   *
+   * @param {string} text
+   * @param {{ locale?: string, currency?: { code } | null }} [opts]
+   */
+  function parsePrice (text, { locale = 'en-GB', currency = null } = {}) {
+    if (!text) return 0;
+    const run = text.match(/\d+(?:[\s\u00a0\u202f'’]\d{3}(?!\d)|[.,]\d+)*/);
+    if (!run) return 0;
+
+    const s    = run[0].replace(/[\s\u00a0\u202f'’]/g, '');
+    const seps = s.match(/[.,]/g) || [];
+    let n;
+
+    if (seps.length === 0) {
+      n = Number(s);
+    } else {
+      const at   = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+      const sep  = s[at];
+      const tail = s.slice(at + 1);
+      const decimal =
+        new Set(seps).size === 2 ||
+        (seps.length === 1 && tail.length !== 3) ||
+        (seps.length === 1 && sep === separators(locale).decimal &&
+          currency?.code && fractionDigits(currency.code) === 3);
+
+      n = decimal
+        ? Number(s.slice(0, at).replace(/[.,]/g, '') + '.' + tail)
+        : Number(s.replace(/[.,]/g, ''));
+    }
+
+    return (n >= MIN_PRICE && n < MAX_PRICE) ? n : 0;
+  }
+
+  /**
+   * Amount in a currency, formatted for a locale without decimals
+   * ("€1,234", "1.234 €", "¥12,345"). `compact` shortens six-figure and
+   * larger amounts the way the locale does ("₩123K", "₩12만") for badges;
+   * without a currency only the number is formatted.
+   */
+  function formatPrice (n, currency, { locale = 'en-GB', compact = false } = {}) {
+    if (!n && n !== 0) return '?';
+    const opts = compact && n >= 100_000
+      ? { notation: 'compact' }
+      : { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+    if (currency?.code) {
+      Object.assign(opts, { style: 'currency', currency: currency.code, currencyDisplay: 'narrowSymbol' });
+    }
+    try {
+      return formatter(locale, opts).format(n);
+    } catch (_) {
+      return (currency?.symbol || '') + Math.round(n);
+    }
+  }
+
+  return { parsePrice, detectCurrency, formatPrice, pageLocale };
+
+})();
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – price fixture check
+ *
+ * Reads every case of fixtures/price-strings.json the way extract.js does –
+ * currency from the text and the page's selected_currency, then the number
+ * in the page's locale – and lists the cases price.js gets wrong.
+ *
+ *   node scripts/check-prices.js
+ *
+ * Exits with status 1 when any case fails.
+ */
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const root    = path.join(__dirname, '..');
+const sandbox = { Intl };
+sandbox.self = sandbox;
+vm.runInNewContext(fs.readFileSync(path.join(root, 'price.js'), 'utf8'), sandbox, { filename: 'price.js' });
+const { parsePrice, detectCurrency } = sandbox.BPCPrice;
+
+const { cases } = JSON.parse(fs.readFileSync(path.join(root, 'fixtures', 'price-strings.json'), 'utf8'));
+
+let failed = 0;
+cases.forEach(({ text, locale, selectedCurrency, value, currency }) => {
+  const found = detectCurrency(text, selectedCurrency);
+  const price = parsePrice(text, { locale, currency: found });
+  const code  = found?.code ?? null;
+  if (price === value && code === currency) return;
+  failed++;
+  console.log(`✗ ${JSON.stringify(text)} (${locale}, selected ${selectedCurrency}): ` +
+    `got ${price} ${code}, expected ${value} ${currency}`);
+});
+
+console.log(`${cases.length - failed} of ${cases.length} price texts read correctly`);
+process.exitCode = failed ? 1 : 0;
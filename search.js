@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – search helpers
+ *
+ * Date arithmetic, cache keys and search-URL building shared by the content
+ * script and the background service worker.
+ *
+ * A search *context* is everything that changes which hotels (and prices) a
+ * search returns except the dates:
+ *   { dest, destId, destType, adults, children, ages, rooms, filters, order, selectedCurrency, property }
+ * `ages` are the children's ages, ascending and comma-separated ("4,9"; ''
+ * without children), `filters` is the results page's `nflt` parameter (stars, review
+ * score, free cancellation, property type, price band, …), `order` its sort
+ * and `selectedCurrency` its `selected_currency` (ISO code, or '').
+ *
+ * A context with a `property` ("nl/foo", see BPCExtract.propertyIdFromUrl)
+ * is that one hotel's property page: its prices are the hotel's room options,
+ * and dest, filters and order are empty.
+ */
+self.BPCSearch = (function () {
+
+  /** Properties per search-results page (the `offset` step) */
+  const RESULTS_PER_PAGE = 25;
+
+  /** Key of one date pair inside a search context: "YYYY-MM-DD/YYYY-MM-DD" */
+  function cacheKey (checkin, checkout) {
+    return `${checkin}/${checkout}`;
+  }
+
+  /** Stable identifier of a search context (see top of file) */
+  function searchContextKey (p) {
+    return [
+      p.dest.toLowerCase(), p.destId, p.destType,
+      p.adults, p.children, p.ages || '', p.rooms,
+      p.filters || '', p.order, p.selectedCurrency || '',
+      ...(p.property ? [p.property] : []),
+    ].join('|');
+  }
+
+  /**
+   * Search context a key was made from (null for keys of an older format).
+   * The destination comes back lower-cased; it is free text and may itself
+   * contain "|", so the other fields are counted from the end. A property
+   * page's key has one more (the only field containing "/").
+   */
+  function parseSearchContextKey (key) {
+    const parts = key.split('|');
+    const property = parts.at(-1).includes('/') ? parts.pop() : '';
+    if (parts.length < 10) return null;
+    const [destId, destType, adults, children, ages, rooms, filters, order, selectedCurrency] = parts.slice(-9);
+    return {
+      dest: parts.slice(0, -9).join('|'),
+      destId, destType, adults, children, ages, rooms, filters, order, selectedCurrency, property,
+    };
+  }
+
+  /** Short name of a context for labels: its destination, or the hotel named by its URL */
+  function contextName (p) {
+    if (!p.property) return p.dest;
+    return p.property.split('/')[1].replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * The party a URL's query searches for → { adults, children, ages, rooms },
+   * or null when it names none. Booking.com repeats `age` once per child.
+   */
+  function readOccupancy (sp) {
+    if (!sp.has('group_adults') && !sp.has('group_children') && !sp.has('no_rooms')) return null;
+    const ages = sp.getAll('age').filter(a => /^\d{1,2}$/.test(a)).sort((a, b) => a - b);
+    return {
+      adults:   sp.get('group_adults')   || '2',
+      children: sp.get('group_children') || String(ages.length),
+      ages:     ages.join(','),
+      rooms:    sp.get('no_rooms')       || '1',
+    };
+  }
+
+  /** Add a party's `group_*`, `age` and `no_rooms` parameters to a query */
+  function setOccupancy (s, p) {
+    s.set('group_adults',   p.adults);
+    s.set('group_children', p.children);
+    s.delete('age');
+    (p.ages || '').split(',').filter(Boolean).forEach(age => s.append('age', age));
+    s.set('no_rooms',       p.rooms);
+  }
+
+  /**
+   * The filter, sort and currency a results URL's query carries →
+   * { filters, order, selectedCurrency }. Filters are sorted so the same
+   * selection always gives the same key.
+   */
+  function readFilters (sp) {
+    const filters = (sp.get('nflt') || '')
+      .split(';')
+      .filter(Boolean)
+      .sort()
+      .join(';');
+    const currency = sp.get('selected_currency') || '';
+    return {
+      filters,
+      order:            sp.get('order') || '',
+      selectedCurrency: /^[A-Z]{3}$/.test(currency) ? currency : '',
+    };
+  }
+
+  /**
+   * Search-results URL for a context and dates; `page` is 0-based. A
+   * property context's is its property page (which has a single page).
+   */
+  function buildSearchUrl (p, checkin, checkout, page = 0) {
+    if (p.property) {
+      const u = new URL(buildPropertyUrl(`https://www.booking.com/hotel/${p.property}.html`, p, checkin, checkout));
+      if (p.selectedCurrency) u.searchParams.set('selected_currency', p.selectedCurrency);
+      return u.toString();
+    }
+
+    const u = new URL('/searchresults.html', 'https://www.booking.com');
+    const s = u.searchParams;
+
+    // Always use the individual field format – maximally compatible
+    const [cy, cm, cd] = checkin.split('-');
+    const [oy, om, od] = checkout.split('-');
+
+    if (p.dest)     s.set('ss',               p.dest);
+    if (p.destId)   s.set('dest_id',          p.destId);
+    if (p.destType) s.set('dest_type',        p.destType);
+
+    s.set('checkin_year',       cy);
+    s.set('checkin_month',      String(parseInt(cm, 10)));
+    s.set('checkin_monthday',   String(parseInt(cd, 10)));
+    s.set('checkout_year',      oy);
+    s.set('checkout_month',     String(parseInt(om, 10)));
+    s.set('checkout_monthday',  String(parseInt(od, 10)));
+
+    setOccupancy(s, p);
+    if (p.filters) s.set('nflt', p.filters);
+    if (p.order) s.set('order', p.order);
+    if (p.selectedCurrency) s.set('selected_currency', p.selectedCurrency);
+    if (page > 0) s.set('offset', String(page * RESULTS_PER_PAGE));
+
+    return u.toString();
+  }
+
+  /** Property-page URL for the given dates and party */
+  function buildPropertyUrl (url, p, checkin, checkout) {
+    const u = new URL(url);
+    const s = u.searchParams;
+    s.set('checkin',  checkin);
+    s.set('checkout', checkout);
+    setOccupancy(s, p);
+    return u.toString();
+  }
+
+  function addDays (dateStr, n) {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+  }
+
+  function daysBetween (a, b) {
+    return Math.round(
+      (new Date(b + 'T00:00:00Z') - new Date(a + 'T00:00:00Z')) / 86_400_000
+    );
+  }
+
+  return {
+    cacheKey, searchContextKey, parseSearchContextKey, contextName, readOccupancy, setOccupancy, readFilters, buildSearchUrl, buildPropertyUrl, addDays, daysBetween,
+  };
+
+})();
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – selector packs
+ *
+ * The CSS selectors Booking.com pages are read with (property cards, prices,
+ * room tables, the date picker and its day cells) live in a versioned JSON
+ * "selector pack" instead of the code, so a newer pack can follow a
+ * Booking.com UI change without waiting for an extension update.
+ *
+ * The built-in pack is selector-packs/builtin.json. A pack imported on the
+ * options page – only after it was validated against a live Booking.com page
+ * – is kept in chrome.storage.local as `selectorPack` and used instead;
+ * selectors it leaves out come from the built-in pack.
+ *
+ *   { format: 'bpc-selector-pack', schema, version, name, selectors: { key: … } }
+ *
+ * `schema` is the pack layout (SCHEMA is the one this code reads), `version`
+ * the pack's own revision. Each selector is a selector list (string) or an
+ * array of them tried in order – the built-in pack defines which per key.
+ * Shared by the content script, the offscreen document, the background
+ * service worker and the options page.
+ */
+self.BPCSelectors = (function () {
+
+  const FORMAT      = 'bpc-selector-pack';
+  const SCHEMA      = 1;
+  const BUILTIN_URL = 'selector-packs/builtin.json';
+  const STORAGE_KEY = 'selectorPack';
+
+  /** Keys whose matches are read as prices – the first number in their text */
+  const PRICE_KEYS = ['cardPrice', 'pagePrice', 'roomPrice'];
+
+  let builtin = null;
+
+  /** Pack extraction runs with (complete – see withDefaults) */
+  let active = null;
+
+  /** Whether use() chose the active pack – load() then leaves it alone */
+  let pinned = false;
+
+  let loading = load();
+
+  // An imported (or reset) pack applies to open tabs straight away
+  chrome.storage?.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEY]) loading = load();
+  });
+
+  /** The built-in pack */
+  async function builtinPack () {
+    if (!builtin) {
+      const res = await fetch(chrome.runtime.getURL(BUILTIN_URL));
+      builtin = await res.json();
+    }
+    return builtin;
+  }
+
+  /** Make the imported pack (when usable) or the built-in one the active pack */
+  async function load () {
+    const base = await builtinPack();
+    let pack = base;
+    if (chrome.storage?.local) {
+      const { [STORAGE_KEY]: saved } = await chrome.storage.local.get(STORAGE_KEY);
+      const problems = saved ? checkPack(saved) : [];
+      if (saved && !problems.length) pack = withDefaults(saved);
+      else if (saved) console.warn('[BPC] Ignoring the imported selector pack:', problems);
+    }
+    if (!pinned) active = pack;
+    return active;
+  }
+
+  /** Resolves to the active pack once it is loaded */
+  function ready () {
+    return loading;
+  }
+
+  /** Selector (string) or selector strategies (array) of the active pack */
+  function get (key) {
+    return active.selectors[key];
+  }
+
+  /** Run extraction with a given (complete) pack from now on – the offscreen document's */
+  function use (pack) {
+    pinned = true;
+    active = pack;
+  }
+
+  /** fn's result with `pack` active for its (synchronous) duration */
+  function withPack (pack, fn) {
+    const previous = active;
+    active = pack;
+    try {
+      return fn();
+    } finally {
+      active = previous;
+    }
+  }
+
+  /** A pack with the selectors it leaves out taken from the built-in pack */
+  function withDefaults (pack) {
+    return { ...pack, selectors: { ...builtin?.selectors, ...pack.selectors } };
+  }
+
+  /**
+   * Why a pack can't be used, as readable messages (none = usable). Keys the
+   * built-in pack doesn't know are ignored; each known one must have the
+   * built-in pack's shape and parse as CSS, and price selectors must be
+   * narrower than a bare `[class*="price"]`.
+   */
+  function checkPack (pack) {
+    if (!pack || typeof pack !== 'object' || pack.format !== FORMAT) return ['This is not a selector pack.'];
+    if (pack.schema !== SCHEMA) {
+      return [`The pack is written for schema ${pack.schema}; this version of the extension reads schema ${SCHEMA}.`];
+    }
+    const problems = [];
+    if (typeof pack.version !== 'string' || !pack.version.trim()) problems.push('The pack has no version.');
+    if (!pack.selectors || typeof pack.selectors !== 'object') return [...problems, 'The pack has no selectors.'];
+
+    for (const [key, value] of Object.entries(pack.selectors)) {
+      const expected = builtin?.selectors[key];
+      if (expected === undefined) continue;
+      const list = Array.isArray(expected) ? value : [value];
+      if (!Array.isArray(list) || !list.length || !list.every(s => typeof s === 'string' && s.trim())) {
+        problems.push(`"${key}" must be ${Array.isArray(expected) ? 'a list of selectors' : 'a selector'}.`);
+        continue;
+      }
+      const invalid = list.find(s => !parses(s));
+      if (invalid) problems.push(`"${key}" has an invalid selector: ${invalid}`);
+      const loose = PRICE_KEYS.includes(key) && list.find(matchesAnyPriceClass);
+      if (loose) problems.push(`"${key}" would read text like "price for 2 nights" as a price: ${loose}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Whether a selector list has an entry matching any element whose class
+   * merely contains "price" – the labels and containers around a price too
+   */
+  function matchesAnyPriceClass (selector) {
+    return selector.split(',').some(s => /^\[class\*=(["']?)price\1\]$/i.test(s.trim()));
+  }
+
+  /** Whether a selector is valid CSS (not checkable without a DOM – e.g. in the worker) */
+  function parses (selector) {
+    if (typeof document === 'undefined') return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  return { FORMAT, SCHEMA, STORAGE_KEY, ready, get, use, withPack, withDefaults, checkPack, builtinPack };
+
+})();
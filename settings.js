@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – settings
+ *
+ * Every user setting with its type, default and bounds, kept in
+ * chrome.storage.sync under its key. The popup (the everyday ones) and the
+ * options page (all of them) edit them; the content script, the background
+ * service worker and the price explorer read them with load() and follow
+ * changes with onChange(). A stored value that doesn't fit the schema – an
+ * older version's, a hand-edited one – reads as the default.
+ *
+ * Types: 'boolean'; 'integer' within min…max; 'choice' – one of `choices`
+ * ([value, label] pairs); 'bands' – { low, high }, each a positive number
+ * or null.
+ *
+ * Shared by the content script, the background service worker and the
+ * extension pages.
+ */
+self.BPCSettings = (function () {
+
+  /** Options-page sections, in page order */
+  const GROUPS = [
+    ['prices',   'Prices and colours'],
+    ['fetching', 'Fetching'],
+    ['calendar', 'Calendar and compare'],
+  ];
+
+  const SCHEMA = {
+    // Prices and colours
+    displayMode: {
+      type: 'choice', default: 'total', group: 'prices',
+      label: 'Show prices as', hint: 'Badges, tooltips and colours',
+      choices: [['total', 'Total stay'], ['night', 'Per night'], ['person', 'Per person / night']],
+    },
+    badgeMode: {
+      type: 'choice', default: 'price', group: 'prices',
+      label: 'Badges show', hint: 'On a search with dates: what shifting the stay saves or costs',
+      choices: [['price', 'Lowest price'], ['delta', 'Difference from your dates']],
+    },
+    trimmedMean: {
+      type: 'boolean', default: false, group: 'prices',
+      label: 'Trimmed average', hint: 'Ignore the cheapest and dearest 10%',
+    },
+    colorStrategy: {
+      type: 'choice', default: 'quantile', group: 'prices',
+      label: 'Colour by', hint: 'What makes a date green, yellow or orange',
+      choices: [['quantile', 'Visible days (thirds)'], ['budget', 'My budget'], ['relative', 'vs. searched dates']],
+    },
+    budgetBands: {
+      type: 'bands', default: { low: null, high: null }, group: 'prices',
+      label: 'Budget bands', hint: 'Green up to / orange from, in the unit prices are shown ("Colour by: My budget")',
+    },
+    relativeBand: {
+      type: 'choice', default: 10, group: 'prices',
+      label: 'Cheaper / dearer by at least', hint: 'For "Colour by: vs. searched dates"',
+      choices: [[5, '5%'], [10, '10%'], [20, '20%']],
+    },
+
+    // Fetching
+    sortByPrice: {
+      type: 'boolean', default: true, group: 'fetching',
+      label: 'Sort fetched results by price', hint: 'Cheapest hotels first, unless the search picks an order',
+    },
+    cacheTtlHours: {
+      type: 'choice', default: 6, group: 'fetching',
+      label: 'Refresh cached prices', hint: 'Older prices show instantly, then update',
+      choices: [[1, 'after 1 h'], [6, 'after 6 h'], [24, 'after 1 day'], [72, 'after 3 days']],
+    },
+    pageDepth: {
+      type: 'integer', default: 1, min: 1, max: 4, group: 'fetching',
+      label: 'Result pages per date', hint: '~25 hotels each – more pages, more requests',
+    },
+    fetchDelayMs: {
+      type: 'integer', default: 900, min: 300, max: 10_000, unit: 'ms', group: 'fetching',
+      label: 'Gap between background fetches', hint: 'Shorter is faster but more likely to meet a bot check',
+    },
+    maxConcurrent: {
+      type: 'integer', default: 2, min: 1, max: 4, group: 'fetching',
+      label: 'Parallel fetches', hint: 'Shared by every open tab',
+    },
+    scrapeDelayMs: {
+      type: 'integer', default: 3000, min: 0, max: 15_000, unit: 'ms', group: 'fetching',
+      label: 'Wait before reading a results page', hint: 'Time for Booking.com to render its prices',
+    },
+
+    // Calendar and compare
+    checkinStayNights: {
+      type: 'integer', default: 10, min: 1, max: 30, unit: 'nights', group: 'calendar',
+      label: 'Stays priced from a picked check-in', hint: 'Checkout dates fetched when you click a check-in date',
+    },
+    maxCompare: {
+      type: 'integer', default: 4, min: 2, max: 6, group: 'calendar',
+      label: 'Hotels in the compare view', hint: 'How many hotels can be compared at once',
+    },
+    detailTimeoutSec: {
+      type: 'integer', default: 20, min: 5, max: 120, unit: 's', group: 'calendar',
+      label: 'Hotel detail page timeout', hint: 'How long the compare view waits for a hotel page to render',
+    },
+  };
+
+  const DEFAULTS = Object.fromEntries(Object.entries(SCHEMA).map(([key, field]) => [key, field.default]));
+
+  /** Why a value doesn't fit a setting, as a readable message ('' = it fits) */
+  function check (key, value) {
+    const field = SCHEMA[key];
+    if (!field) return `Unknown setting "${key}".`;
+    switch (field.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? '' : 'Must be on or off.';
+      case 'integer':
+        if (!Number.isInteger(value)) return 'Must be a whole number.';
+        if (value < field.min || value > field.max) return `Must be between ${field.min} and ${field.max}.`;
+        return '';
+      case 'choice':
+        return field.choices.some(([v]) => v === value) ? '' : 'Not one of the choices.';
+      case 'bands': {
+        const band = v => v === null || (typeof v === 'number' && v > 0);
+        if (!value || typeof value !== 'object' || !band(value.low) || !band(value.high)) {
+          return 'Each band must be a positive amount or empty.';
+        }
+        if (value.low !== null && value.high !== null && value.low > value.high) {
+          return 'The green band must not be above the orange one.';
+        }
+        return '';
+      }
+    }
+    return '';
+  }
+
+  /** A stored value, or the default when it's missing or doesn't fit */
+  function read (key, value) {
+    return value !== undefined && !check(key, value) ? value : DEFAULTS[key];
+  }
+
+  /** All settings */
+  async function load () {
+    const stored = await chrome.storage.sync.get(Object.keys(SCHEMA));
+    return Object.fromEntries(Object.keys(SCHEMA).map(key => [key, read(key, stored[key])]));
+  }
+
+  /**
+   * Call listener({ key: value, … }) with the settings that changed, in
+   * whichever context changed them; a setting reset to its default reports
+   * the default.
+   */
+  function onChange (listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      const changed = Object.keys(changes).filter(key => key in SCHEMA);
+      if (changed.length) listener(Object.fromEntries(changed.map(key => [key, read(key, changes[key].newValue)])));
+    });
+  }
+
+  /**
+   * Store settings once all of them fit; resolves to the messages of those
+   * that don't ({ key: message }, nothing stored) or to {} when saved.
+   */
+  async function save (values) {
+    const problems = {};
+    for (const [key, value] of Object.entries(values)) {
+      const problem = check(key, value);
+      if (problem) problems[key] = problem;
+    }
+    if (!Object.keys(problems).length) await chrome.storage.sync.set(values);
+    return problems;
+  }
+
+  /** Back to the defaults – all settings, or the given ones */
+  function reset (keys = Object.keys(SCHEMA)) {
+    return chrome.storage.sync.remove(keys);
+  }
+
+  return { GROUPS, SCHEMA, DEFAULTS, check, load, onChange, save, reset };
+
+})();
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Booking.com Price Calendar – page snapshots (developer mode)
+ *
+ * Extractors are debugged against live Booking.com pages, which are slow,
+ * personalised and rate-limited. With the options page's snapshot mode on
+ * "record", every page the extension fetches itself – search results and
+ * hotel pages fetched by the background worker, hotel detail pages fetched
+ * for the compare view – is kept in chrome.storage.local as it arrived;
+ * on "replay" the same requests are answered from those snapshots without
+ * touching the network, so a broken page can be reproduced exactly and a
+ * fix checked offline. Past MAX_SNAPSHOTS pages or MAX_BYTES of HTML the
+ * oldest recordings are dropped, so a long session can't fill the storage
+ * the price cache and the watchlist live in.
+ *
+ *   "snapshotMode"    'off' | 'record' | 'replay'
+ *   "snapshot:<url>"  { url, finalUrl, status, html, recordedAt }
+ *
+ * Shared by the content script, the background service worker and the
+ * options page.
+ */
+self.BPCSnapshots = (function () {
+
+  const MODE_KEY   = 'snapshotMode';
+  const KEY_PREFIX = 'snapshot:';
+
+  const MAX_SNAPSHOTS  = 200;
+  const MAX_BYTES      = 50 * 1024 * 1024;  // HTML characters, near enough bytes
+  const PRUNE_DELAY_MS = 5000;              // a burst of recordings is pruned once
+
+  let pruneTimer = null;
+
+  let mode = 'off';
+
+  const loading = chrome.storage.local.get(MODE_KEY).then(s => { mode = s[MODE_KEY] || 'off'; });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[MODE_KEY]) mode = changes[MODE_KEY].newValue || 'off';
+  });
+
+  /** Current mode (see top of file) – read after ready() */
+  function getMode () {
+    return mode;
+  }
+
+  /** Resolves once the mode is loaded */
+  function ready () {
+    return loading;
+  }
+
+  /**
+   * fetch() for a Booking.com page, recorded or replayed per the mode. A page
+   * without a snapshot fails on replay like a network error would.
+   */
+  async function fetchPage (url, init) {
+    await loading;
+    if (mode === 'replay') {
+      const { [KEY_PREFIX + url]: snapshot } = await chrome.storage.local.get(KEY_PREFIX + url);
+      if (!snapshot) throw new Error(`No snapshot recorded for ${url}`);
+      return toResponse(snapshot);
+    }
+
+    const res = await fetch(url, init);
+    if (mode === 'record') {
+      record(url, res.clone()).catch(err => console.warn('[BPC] Failed to record a page snapshot:', err));
+    }
+    return res;
+  }
+
+  async function record (url, res) {
+    const snapshot = { url, finalUrl: res.url, status: res.status, html: await res.text(), recordedAt: Date.now() };
+    await chrome.storage.local.set({ [KEY_PREFIX + url]: snapshot });
+    schedulePrune();
+  }
+
+  function schedulePrune () {
+    clearTimeout(pruneTimer);
+    pruneTimer = setTimeout(() => {
+      prune().catch(err => console.warn('[BPC] Failed to prune page snapshots:', err));
+    }, PRUNE_DELAY_MS);
+  }
+
+  /** Drop the oldest snapshots beyond MAX_SNAPSHOTS / MAX_BYTES */
+  async function prune () {
+    let bytes = 0;
+    const evicted = (await list()).filter((s, i) => {
+      bytes += s.html.length;
+      return i >= MAX_SNAPSHOTS || bytes > MAX_BYTES;
+    });
+    if (evicted.length) await remove(evicted.map(s => s.url));
+  }
+
+  /** A recorded page as the Response fetch() gave at the time */
+  function toResponse ({ url, finalUrl = url, status, html }) {
+    const res = new Response(html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    Object.defineProperty(res, 'url', { value: finalUrl });
+    return res;
+  }
+
+  /** All snapshots, the most recently recorded first */
+  async function list () {
+    const all = await chrome.storage.local.get(null);
+    return Object.keys(all)
+      .filter(k => k.startsWith(KEY_PREFIX))
+      .map(k => all[k])
+      .sort((a, b) => b.recordedAt - a.recordedAt);
+  }
+
+  /**
+   * Store snapshots (an exported file's) – replacing those of the same URLs,
+   * and dropping the oldest beyond the limits
+   */
+  async function save (snapshots) {
+    await chrome.storage.local.set(Object.fromEntries(snapshots.map(s => [KEY_PREFIX + s.url, s])));
+    await prune();
+  }
+
+  /** Delete the snapshots of some URLs */
+  function remove (urls) {
+    return chrome.storage.local.remove(urls.map(url => KEY_PREFIX + url));
+  }
+
+  /** Delete every snapshot */
+  async function clear () {
+    const all = await chrome.storage.local.get(null);
+    await chrome.storage.local.remove(Object.keys(all).filter(k => k.startsWith(KEY_PREFIX)));
+  }
+
+  /** Whether a value looks like a snapshot (imported files are checked with it) */
+  function isSnapshot (s) {
+    return Boolean(s) && typeof s.url === 'string' && typeof s.html === 'string'
+      && Number.isInteger(s.status) && s.status >= 200 && s.status <= 599;
+  }
+
+  return { MODE_KEY, KEY_PREFIX, MAX_SNAPSHOTS, MAX_BYTES, getMode, ready, fetchPage, list, save, remove, clear, isSnapshot };
+
+})();